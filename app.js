@@ -15,6 +15,12 @@ const Config = {
     // Constraints
     MAX_CHARS: 200,
 
+    // How many ranked words to ask for in compare mode
+    CANDIDATE_COUNT: 3,
+
+    // How many times a word can be refined (the server accepts no more)
+    MAX_REFINEMENTS: 4,
+
     // Rotating placeholder examples
     PLACEHOLDERS: [
         'The feeling when...',
@@ -27,31 +33,14 @@ const Config = {
         'The relief and sadness when something difficult finally ends...'
     ],
 
-    // localStorage keys
+    // IndexedDB database holding the archive
+    DB_NAME: 'wordForThis',
+
+    // localStorage keys (STORAGE_KEY holds the archive only where IndexedDB can't)
     STORAGE_KEY: 'wordForThis_history',
     TUTORIAL_SEEN_KEY: 'wordForThis_tutorialSeen',
-
-    // System prompt for the AI
-    SYSTEM_PROMPT: `You are a linguistic expert and poet. When given a description of an emotion or feeling, find the single best word in any language that captures it perfectly.
-
-Respond in this exact JSON format only, with no additional text:
-{
-    "word": "the word",
-    "pronunciation": "phonetic pronunciation",
-    "origin": "language of origin",
-    "definition": "a poetic, precise definition of the word"
-}
-
-Be poetic yet precise. Prefer obscure, beautiful words from any language. If the word is not English, include the original script if applicable.`,
-
-    // Canvas settings for share feature
-    CANVAS: {
-        WIDTH: 800,
-        HEIGHT: 600,
-        PADDING: 60,
-        BACKGROUND: '#F5F5F0',
-        TEXT_COLOR: '#000000'
-    }
+    CLIPPING_KEY: 'wordForThis_clipping',
+    MASTODON_KEY: 'wordForThis_mastodonInstance'
 };
 
 // ============================================
@@ -59,301 +48,2146 @@ Be poetic yet precise. Prefer obscure, beautiful words from any language. If the
 // ============================================
 const Utils = {
     /**
-     * Escape HTML special characters
+     * Escape HTML special characters, quotes included, so the result is
+     * safe in attribute values as well as in text
      */
     escapeHtml(str) {
         const div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 };
 
 // ============================================
 // HISTORY MODULE
 // ============================================
-const History = {
-    /**
-     * Load history from localStorage
-     */
-    load() {
-        try {
-            const stored = localStorage.getItem(Config.STORAGE_KEY);
-            return stored ? JSON.parse(stored) : [];
-        } catch (error) {
-            console.error('Failed to load history:', error);
-            return [];
+
+// The archive lives in IndexedDB, one record per word keyed by the
+// lowercased word (the same duplicate rule the archive always had).
+// Where IndexedDB isn't available, LocalStore keeps the old localStorage array.
+
+const IndexedStore = {
+    DB_VERSION: 2,
+    STORE: 'words',
+    db: null,
+
+    // Each upgrade takes the database from the version before its key to that version
+    UPGRADES: {
+        1: (db) => {
+            const store = db.createObjectStore('words', { keyPath: 'key' });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('language', 'language');
+        },
+
+        // Dates filter by the last time a word was asked for, not when it was first found
+        2: (db, tx) => {
+            tx.objectStore('words').createIndex('lastQueried', 'lastQueried');
         }
     },
 
     /**
-     * Save history to localStorage
+     * Open (creating or upgrading) the database
      */
-    save(history) {
-        try {
-            localStorage.setItem(Config.STORAGE_KEY, JSON.stringify(history));
-        } catch (error) {
-            console.error('Failed to save history:', error);
-        }
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(Config.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    this.UPGRADES[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
     },
 
     /**
-     * Add entry to history
+     * Run work against the store, resolving with what it reports once the transaction commits
      */
-    add(entry) {
-        const history = this.load();
-
-        // Check for duplicates (same word)
-        const exists = history.some(h =>
-            h.word.toLowerCase() === entry.word.toLowerCase()
-        );
-
-        if (!exists) {
-            history.push(entry);
-            this.save(history);
-        }
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STORE, mode);
+            let result;
+            work(tx.objectStore(this.STORE), (value) => {
+                result = value;
+            });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'));
+        });
+    },
 
-        return history;
+    /**
+     * Get every entry, oldest first
+     */
+    getAll() {
+        return this.transaction('readonly', (store, done) => {
+            store.index('timestamp').getAll().onsuccess = (event) => done(event.target.result);
+        });
     },
 
     /**
-     * Clear all history
+     * Save entries, replacing any stored with the same key
      */
-    clear() {
-        localStorage.removeItem(Config.STORAGE_KEY);
-        return [];
-    }
-};
+    put(entries) {
+        return this.transaction('readwrite', (store) => {
+            entries.forEach(entry => store.put(entry));
+        });
+    },
 
-// ============================================
-// UI MODULE
-// ============================================
-const UI = {
-    elements: {},
+    /**
+     * Remove the entry with this key
+     */
+    delete(key) {
+        return this.transaction('readwrite', (store) => {
+            store.delete(key);
+        });
+    },
 
     /**
-     * Initialize UI - cache DOM references
+     * Remove every entry
      */
-    init() {
-        this.elements = {
-            form: document.getElementById('word-form'),
-            input: document.getElementById('emotion-input'),
-            charCount: document.getElementById('char-count'),
-            submitBtn: document.getElementById('submit-btn'),
-            loadingSection: document.getElementById('loading-section'),
-            resultSection: document.getElementById('result-section'),
-            errorSection: document.getElementById('error-section'),
-            errorMessage: document.getElementById('error-message'),
-            resultWord: document.getElementById('result-word'),
-            resultPronunciation: document.getElementById('result-pronunciation'),
-            resultOrigin: document.getElementById('result-origin'),
-            resultDefinition: document.getElementById('result-definition'),
-            shareBtn: document.getElementById('share-btn'),
-            shareXBtn: document.getElementById('share-x-btn'),
-            newSearchBtn: document.getElementById('new-search-btn'),
-            retryBtn: document.getElementById('retry-btn'),
-            archiveToggle: document.getElementById('archive-toggle'),
-            archiveList: document.getElementById('archive-list'),
-            archiveItems: document.getElementById('archive-items'),
-            clearArchive: document.getElementById('clear-archive'),
-            canvas: document.getElementById('share-canvas')
-        };
+    clear() {
+        return this.transaction('readwrite', (store) => {
+            store.clear();
+        });
     },
 
     /**
-     * Update character count display
+     * Get entries last asked for between two ISO timestamps (either may be omitted), oldest first
      */
-    updateCharCount(count) {
-        this.elements.charCount.textContent = `${count} / ${Config.MAX_CHARS}`;
+    findByLastQueried(from, to) {
+        const range = from && to ? IDBKeyRange.bound(from, to)
+            : from ? IDBKeyRange.lowerBound(from)
+                : to ? IDBKeyRange.upperBound(to)
+                    : undefined;
+
+        return this.transaction('readonly', (store, done) => {
+            store.index('lastQueried').getAll(range).onsuccess = (event) => done(event.target.result);
+        });
     },
 
     /**
-     * Render loading state
+     * Get entries from one origin language
      */
-    renderLoadingState(isLoading) {
-        this.elements.loadingSection.hidden = !isLoading;
-        this.elements.submitBtn.disabled = isLoading;
+    findByLanguage(language) {
+        return this.transaction('readonly', (store, done) => {
+            store.index('language').getAll(language).onsuccess = (event) => done(event.target.result);
+        });
+    }
+};
 
-        if (isLoading) {
-            // Only hide other sections when starting to load
-            this.elements.resultSection.hidden = true;
-            this.elements.errorSection.hidden = true;
-            this.elements.submitBtn.textContent = 'Searching...';
-        } else {
-            this.elements.submitBtn.textContent = 'Find the Word';
-        }
+const LocalStore = {
+    /**
+     * Read the stored array, bringing entries up to the current schema
+     */
+    read() {
+        const stored = localStorage.getItem(Config.STORAGE_KEY);
+        const entries = stored ? JSON.parse(stored) : [];
+        return entries.map(entry => History.migrate(entry));
     },
 
     /**
-     * Render result
+     * Write the whole array; throws QuotaExceededError when storage is full
      */
-    renderResult(result) {
-        // Hide loading
-        this.elements.loadingSection.hidden = true;
-        this.elements.errorSection.hidden = true;
+    write(entries) {
+        localStorage.setItem(Config.STORAGE_KEY, JSON.stringify(entries));
+    },
 
-        // Add showing-result class to body for screen transition
-        document.body.classList.add('showing-result');
+    async getAll() {
+        return this.read().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    },
 
-        // Populate result fields
-        this.elements.resultWord.textContent = result.word;
-        this.elements.resultPronunciation.textContent = result.pronunciation
-            ? `/${result.pronunciation}/`
-            : '';
-        this.elements.resultOrigin.textContent = result.origin;
-        this.elements.resultDefinition.textContent = result.definition;
+    async put(entries) {
+        const stored = this.read();
+        entries.forEach(entry => {
+            const index = stored.findIndex(existing => existing.key === entry.key);
+            if (index === -1) {
+                stored.push(entry);
+            } else {
+                stored[index] = entry;
+            }
+        });
+        this.write(stored);
+    },
 
-        // Show result section with fade in
-        this.elements.resultSection.hidden = false;
-        const wordCard = this.elements.resultSection.querySelector('.word-card');
-        wordCard.classList.remove('fade-in');
-        void wordCard.offsetWidth; // Force reflow
-        wordCard.classList.add('fade-in');
+    async delete(key) {
+        this.write(this.read().filter(entry => entry.key !== key));
+    },
 
-        // Scroll to top smoothly
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+    async clear() {
+        localStorage.removeItem(Config.STORAGE_KEY);
     },
 
-    /**
-     * Render error state
-     */
-    renderError(error) {
-        this.elements.loadingSection.hidden = true;
-        this.elements.resultSection.hidden = true;
-        this.elements.errorSection.hidden = false;
+    async findByLastQueried(from, to) {
+        return (await this.getAll())
+            .filter(entry => (!from || entry.lastQueried >= from) && (!to || entry.lastQueried <= to))
+            .sort((a, b) => a.lastQueried.localeCompare(b.lastQueried));
+    },
 
-        const message = error instanceof Error ? error.message : error;
-        this.elements.errorMessage.textContent = message;
+    async findByLanguage(language) {
+        return (await this.getAll()).filter(entry => entry.language === language);
+    }
+};
+
+const History = {
+    // Bump with a new entry in MIGRATIONS whenever the entry shape changes
+    SCHEMA_VERSION: 5,
+
+    // Limits on the tags a user can attach to one word
+    MAX_TAGS: 10,
+    MAX_TAG_LENGTH: 30,
+
+    // Each migration takes an entry from the version before its key to that version
+    MIGRATIONS: {
+        // Entries from the localStorage days had no key, language or version
+        1: (entry) => {
+            const time = new Date(entry.timestamp);
+            return {
+                ...entry,
+                key: entry.word.toLowerCase(),
+                language: Archive.languageOf(entry),
+                timestamp: isNaN(time) ? new Date().toISOString() : time.toISOString()
+            };
+        },
+
+        // Personal touches: a favorite star, a note and free-form tags
+        2: (entry) => ({
+            favorite: false,
+            note: '',
+            tags: [],
+            ...entry
+        }),
+
+        // Every feeling that led to the word, not just the first
+        3: (entry) => ({
+            ...entry,
+            queries: entry.query ? [{ query: entry.query, timestamp: entry.timestamp }] : []
+        }),
+
+        // The language index now goes by the language code where a word has one
+        4: (entry) => ({
+            ...entry,
+            language: Archive.languageOf(entry)
+        }),
+
+        // When the word was last asked for, which orders the archive and is indexed for date filters
+        5: (entry) => ({
+            ...entry,
+            lastQueried: Archive.lastQueriedOf(entry)
+        })
     },
 
+    // IndexedStore, or LocalStore where IndexedDB can't be opened
+    store: LocalStore,
+
     /**
-     * Reset to input state
+     * Pick a storage backend and move any localStorage archive into IndexedDB
      */
-    resetToInput() {
-        // Remove showing-result class for screen transition back
-        document.body.classList.remove('showing-result');
+    async init() {
+        try {
+            this.store = await IndexedStore.open();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, keeping history in localStorage:', error);
+            this.store = LocalStore;
+            return;
+        }
 
-        this.elements.loadingSection.hidden = true;
-        this.elements.resultSection.hidden = true;
-        this.elements.errorSection.hidden = true;
-        this.elements.input.value = '';
-        this.updateCharCount(0);
+        try {
+            const legacy = LocalStore.read();
+            if (legacy.length > 0) {
+                await this.merge(legacy);
+                localStorage.removeItem(Config.STORAGE_KEY);
+            }
+        } catch (error) {
+            // Leave the old data where it is; the next visit tries again
+            console.error('Failed to move history into IndexedDB:', error);
+        }
 
-        // Scroll to top then focus input
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-        setTimeout(() => {
-            this.elements.input.focus();
-        }, 300);
+        try {
+            await this.upgradeStored();
+        } catch (error) {
+            // Entries are still migrated as they're read; only the indexes lag
+            console.error('Failed to upgrade saved history:', error);
+        }
     },
 
     /**
-     * Toggle archive visibility
+     * Save entries from older schema versions migrated, so the indexes see
+     * what the migrations changed
      */
-    toggleArchiveVisibility(isOpen) {
-        this.elements.archiveList.hidden = !isOpen;
-        this.elements.archiveToggle.textContent = isOpen ? 'Hide Archive' : 'View Archive';
+    async upgradeStored() {
+        const stale = (await this.store.getAll())
+            .filter(entry => (entry.schemaVersion || 0) < this.SCHEMA_VERSION);
+        if (stale.length > 0) {
+            await this.store.put(stale.map(entry => this.migrate(entry)));
+        }
     },
 
     /**
-     * Render archive list
+     * Bring an entry up to the current schema version
      */
-    renderArchive(history) {
-        this.elements.archiveItems.innerHTML = '';
-
-        if (history.length === 0) {
-            this.elements.archiveItems.innerHTML = '<li class="archive-empty">No words saved yet</li>';
-            this.elements.clearArchive.hidden = true;
-            return;
+    migrate(entry) {
+        let migrated = entry;
+        for (let version = (entry.schemaVersion || 0) + 1; version <= this.SCHEMA_VERSION; version++) {
+            migrated = { ...this.MIGRATIONS[version](migrated), schemaVersion: version };
         }
+        return migrated;
+    },
 
-        this.elements.clearArchive.hidden = false;
+    /**
+     * Ready an entry for saving: current schema, with key and language taken from it
+     */
+    prepare(entry) {
+        const migrated = this.migrate(entry);
+        const queries = Array.isArray(migrated.queries)
+            ? migrated.queries.filter(q => q && typeof q.query === 'string' && !isNaN(new Date(q.timestamp)))
+            : [];
+        return {
+            ...migrated,
+            key: migrated.word.toLowerCase(),
+            language: Archive.languageOf(migrated),
+            favorite: migrated.favorite === true,
+            note: typeof migrated.note === 'string' ? migrated.note : '',
+            tags: this.cleanTags(migrated.tags),
+            queries,
+            lastQueried: Archive.lastQueriedOf({ ...migrated, queries })
+        };
+    },
 
-        // Sort by date, newest first
-        const sorted = [...history].sort((a, b) =>
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
+    /**
+     * Fold the feelings of a newly found (or imported) copy of a word into the saved one
+     *
+     * Returns the combined entry, or null if there was nothing new.
+     */
+    combine(saved, incoming) {
+        const seen = new Set(saved.queries.map(q => `${q.timestamp}|${q.query}`));
+        const extra = incoming.queries.filter(q => {
+            const key = `${q.timestamp}|${q.query}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        if (extra.length === 0) return null;
+
+        const queries = [...saved.queries, ...extra]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return {
+            ...saved,
+            queries,
+            query: queries[queries.length - 1].query,
+            lastQueried: Archive.lastQueriedOf({ ...saved, queries })
+        };
+    },
 
-        sorted.forEach((entry, index) => {
-            const li = document.createElement('li');
-            li.className = 'archive-item';
-            li.dataset.index = index;
+    /**
+     * Tidy a list of tags: trimmed, short, and no repeats (ignoring case)
+     */
+    cleanTags(tags) {
+        if (!Array.isArray(tags)) return [];
+
+        const seen = new Set();
+        return tags
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.replace(/\s+/g, ' ').trim().slice(0, this.MAX_TAG_LENGTH))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.MAX_TAGS);
+    },
 
-            const date = new Date(entry.timestamp);
-            const formattedDate = date.toLocaleDateString('en-US', {
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric'
-            });
+    /**
+     * Load every entry, oldest first
+     */
+    async load() {
+        const entries = await this.store.getAll();
+        return entries.map(entry => this.migrate(entry));
+    },
 
-            li.innerHTML = `
-                <span class="archive-item-word">${Utils.escapeHtml(entry.word)}</span>
-                <span class="archive-item-date">${formattedDate}</span>
-            `;
+    /**
+     * Add entry to history; if the word (ignoring case) is already saved,
+     * its new query is added to the saved entry's list instead
+     */
+    async add(entry) {
+        const { history } = await this.merge([entry]);
+        return history;
+    },
 
-            li.addEventListener('click', () => {
-                State.setResult(entry);
-            });
+    /**
+     * Merge entries into history, keyed by the case-insensitive word
+     *
+     * New words are added; the queries of words already saved are combined.
+     * Returns { history, added, merged, skipped }; skipped counts the rest,
+     * which brought nothing new.
+     */
+    async merge(entries) {
+        const saved = new Map((await this.load()).map(entry => [entry.key, entry]));
+        const changed = new Map();
+        let added = 0;
+        let merged = 0;
+
+        entries.map(entry => this.prepare(entry)).forEach(entry => {
+            const existing = changed.get(entry.key) || saved.get(entry.key);
+            if (!existing) {
+                changed.set(entry.key, entry);
+                added++;
+                return;
+            }
 
-            this.elements.archiveItems.appendChild(li);
+            const combined = this.combine(existing, entry);
+            if (combined) {
+                if (saved.has(entry.key) && !changed.has(entry.key)) merged++;
+                changed.set(entry.key, combined);
+            }
         });
-    }
-};
 
-// ============================================
-// STATE MANAGEMENT
-// ============================================
-const State = {
-    currentResult: null,
-    isLoading: false,
-    error: null,
-    history: [],
-    archiveOpen: false,
+        if (changed.size > 0) {
+            await this.store.put([...changed.values()]);
+        }
+        return {
+            history: await this.load(),
+            added,
+            merged,
+            skipped: entries.length - added - merged
+        };
+    },
 
-    setLoading(isLoading) {
-        this.isLoading = isLoading;
-        UI.renderLoadingState(isLoading);
+    /**
+     * Save changes to one saved entry, e.g. { favorite: true }
+     */
+    async update(entry, changes) {
+        await this.store.put([this.prepare({ ...entry, ...changes })]);
+        return this.load();
     },
 
-    setResult(result) {
-        this.currentResult = result;
-        this.error = null;
-        UI.renderResult(result);
+    /**
+     * Remove one saved entry
+     */
+    async remove(entry) {
+        await this.store.delete(entry.key);
+        return this.load();
     },
 
-    setError(error) {
-        this.error = error;
-        this.currentResult = null;
-        UI.renderError(error);
+    /**
+     * Clear all history
+     */
+    async clear() {
+        await this.store.clear();
+        return [];
     },
 
-    loadHistory() {
-        this.history = History.load();
-        UI.renderArchive(this.history);
+    /**
+     * Find entries last asked for between two dates (Date or ISO string; either may be omitted)
+     */
+    async findByDate(from, to) {
+        const toIso = (date) => date ? new Date(date).toISOString() : undefined;
+        const entries = await this.store.findByLastQueried(toIso(from), toIso(to));
+        return entries.map(entry => this.migrate(entry));
     },
 
-    addToHistory(entry) {
-        this.history = History.add(entry);
-        UI.renderArchive(this.history);
+    /**
+     * Find entries from one origin language, as given by Archive.languageOf
+     */
+    async findByLanguage(language) {
+        const entries = await this.store.findByLanguage(language);
+        return entries.map(entry => this.migrate(entry));
     },
 
-    clearHistory() {
-        this.history = History.clear();
-        UI.renderArchive(this.history);
+    /**
+     * Find the entries the archive's date and language filters allow, from
+     * the store's indexes, or null when neither is set
+     *
+     * Dates are "YYYY-MM-DD" strings in local time, as in Archive.query.
+     */
+    async findForFilters({ language = '', from = '', to = '' }) {
+        if (from || to) {
+            const entries = await this.findByDate(
+                from && new Date(`${from}T00:00:00`),
+                to && new Date(`${to}T23:59:59.999`)
+            );
+            return language ? entries.filter(entry => entry.language === language) : entries;
+        }
+        return language ? this.findByLanguage(language) : null;
     },
 
-    toggleArchive() {
-        this.archiveOpen = !this.archiveOpen;
-        UI.toggleArchiveVisibility(this.archiveOpen);
+    /**
+     * Explain a storage failure to the user
+     */
+    describeError(error) {
+        const isQuota = error && (error.name === 'QuotaExceededError' || error.code === 22);
+        return isQuota
+            ? 'Your browser is out of space for the archive, so this wasn\'t saved. Export your collection, then clear it to make room.'
+            : 'Your archive couldn\'t be saved in this browser.';
     }
 };
 
 // ============================================
-// API MODULE
+// ARCHIVE MODULE
 // ============================================
-const API = {
-    /**
-     * Query the Hugging Face API
+const Archive = {
+    // Lowercased text each entry is searched by, built once per entry
+    searchText: new WeakMap(),
+
+    // Sort orders offered in the archive
+    comparators: {
+        newest: (a, b) => new Date(Archive.lastQueriedOf(b)) - new Date(Archive.lastQueriedOf(a)),
+        oldest: (a, b) => new Date(Archive.lastQueriedOf(a)) - new Date(Archive.lastQueriedOf(b)),
+        alphabetical: (a, b) => a.word.localeCompare(b.word, undefined, { sensitivity: 'base' }),
+        language: (a, b) => Archive.languageOf(a).localeCompare(Archive.languageOf(b)) ||
+            Archive.comparators.alphabetical(a, b)
+    },
+
+    // Names languages from their codes; created on first use
+    languageNames: null,
+
+    /**
+     * Get the language an entry is from, e.g. "Japanese"
+     *
+     * Its language code names it reliably. Words archived before codes were
+     * asked for fall back to the language part of the origin, e.g.
+     * "Japanese" from "Japanese (日本語)".
+     */
+    languageOf(entry) {
+        const named = entry.lang && this.languageName(entry.lang);
+        return named || String(entry.origin || '').split(/[(,;]/)[0].trim() || 'Unknown origin';
+    },
+
+    /**
+     * Name the language of a language code in English, or return '' if it has no name
+     */
+    languageName(tag) {
+        try {
+            if (!this.languageNames) {
+                this.languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+            }
+            return this.languageNames.of(tag.split('-')[0]) || '';
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Get the romanization worth showing: none when it only repeats the word
+     */
+    transliterationOf(entry) {
+        const transliteration = (entry.transliteration || '').trim();
+        const word = String(entry.word || '').replace(/\([^)]*\)/g, '').trim();
+        return transliteration && transliteration.toLowerCase() !== word.toLowerCase() ? transliteration : '';
+    },
+
+    /**
+     * Get when a word was last asked for: its latest query, or when it was found
+     */
+    lastQueriedOf(entry) {
+        return (entry.queries || []).reduce(
+            (latest, q) => (q.timestamp > latest ? q.timestamp : latest),
+            entry.timestamp
+        );
+    },
+
+    /**
+     * List every language in the archive, alphabetically
+     */
+    languages(history) {
+        const languages = new Set(history.map(entry => this.languageOf(entry)));
+        return [...languages].sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * List every tag in the archive, alphabetically
+     */
+    tags(history) {
+        const tags = new Set(history.flatMap(entry => entry.tags || []));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * Get the text an entry is searched by: word, romanization, definition, origin,
+     * etymology, example, queries, note and tags
+     */
+    searchTextOf(entry) {
+        let text = this.searchText.get(entry);
+        if (text === undefined) {
+            const queries = (entry.queries || []).map(q => q.query);
+            text = [entry.word, entry.transliteration, entry.definition, entry.origin, entry.etymology, entry.example, entry.query, ...queries, entry.note, ...(entry.tags || [])]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            this.searchText.set(entry, text);
+        }
+        return text;
+    },
+
+    /**
+     * Apply the search, language and date filters, then sort
+     *
+     * Dates are "YYYY-MM-DD" strings from date inputs, in local time;
+     * `to` includes the whole of its day. They match the last time a word
+     * was asked for, which is also what the newest and oldest sorts go by.
+     */
+    query(history, { search = '', language = '', tag = '', favorites = false, from = '', to = '', sort = 'newest' } = {}) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+        const matches = history.filter(entry => {
+            const time = new Date(this.lastQueriedOf(entry)).getTime();
+            if (time < fromTime || time > toTime) return false;
+            if (language && this.languageOf(entry) !== language) return false;
+            if (favorites && !entry.favorite) return false;
+            if (tag && !(entry.tags || []).includes(tag)) return false;
+
+            const text = this.searchTextOf(entry);
+            return terms.every(term => text.includes(term));
+        });
+
+        return matches.sort(this.comparators[sort] || this.comparators.newest);
+    }
+};
+
+// ============================================
+// JOURNAL MODULE
+// ============================================
+const Journal = {
+    /**
+     * Key a date by its local day, e.g. "2026-01-05"
+     */
+    dayKey(date) {
+        const d = new Date(date);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    },
+
+    /**
+     * Every moment a feeling was written down, newest first: { query, timestamp, entry }
+     *
+     * Words saved before queries were kept count once, on the day they were found.
+     */
+    moments(history) {
+        return history
+            .flatMap(entry => {
+                const queries = entry.queries && entry.queries.length > 0
+                    ? entry.queries
+                    : [{ query: entry.query || '', timestamp: entry.timestamp }];
+                return queries.map(q => ({ query: q.query, timestamp: q.timestamp, entry }));
+            })
+            .filter(moment => !isNaN(new Date(moment.timestamp)))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    },
+
+    /**
+     * Group moments by local day, keeping their order
+     */
+    byDay(moments) {
+        const days = new Map();
+        moments.forEach(moment => {
+            const key = this.dayKey(moment.timestamp);
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(moment);
+        });
+        return days;
+    },
+
+    /**
+     * Build a month's calendar: weeks of seven days, Sunday first, null for padding
+     */
+    calendar(month) {
+        const first = new Date(month.getFullYear(), month.getMonth(), 1);
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        const cells = Array(first.getDay()).fill(null);
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            cells.push(new Date(month.getFullYear(), month.getMonth(), day));
+        }
+        while (cells.length % 7 !== 0) {
+            cells.push(null);
+        }
+
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) {
+            weeks.push(cells.slice(i, i + 7));
+        }
+        return weeks;
+    }
+};
+
+// ============================================
+// BACKUP MODULE
+// ============================================
+const Backup = {
+    // Bumped if the JSON export's shape changes
+    FORMAT_VERSION: 1,
+
+    // Columns in the CSV export, in order
+    CSV_COLUMNS: ['word', 'native', 'transliteration', 'pronunciation', 'ipa', 'lang', 'origin', 'definition', 'etymology', 'example', 'queries', 'timestamp', 'promptVersion', 'favorite', 'note', 'tags'],
+
+    /**
+     * Export the archive as JSON that import() can read back
+     */
+    toJSON(history) {
+        return JSON.stringify({
+            app: 'a-word-for-this',
+            version: this.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: history
+        }, null, 2);
+    },
+
+    /**
+     * Export the archive as CSV, one word per row
+     */
+    toCSV(history) {
+        const cell = (value) => {
+            let text = value === undefined || value === null ? '' : String(value);
+            // Keep spreadsheets from running a definition as a formula
+            if (/^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [
+            this.CSV_COLUMNS,
+            ...history.map(entry => this.CSV_COLUMNS.map(column => {
+                if (column === 'queries') {
+                    return (entry.queries || []).map(q => q.query).join('; ') || entry.query;
+                }
+                return Array.isArray(entry[column]) ? entry[column].join('; ') : entry[column];
+            }))
+        ];
+        return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Export the archive as an Anki text import: word on the front, meaning on the back
+     *
+     * The header lines tell Anki (2.1.54+) the separator, note type, deck and
+     * tag column, so the file imports without any settings.
+     */
+    toAnki(history) {
+        const field = (html) => html.replace(/[\t\r\n]+/g, ' ');
+        const tag = (text) => text.trim().replace(/\s+/g, '_');
+
+        const lines = history.map(entry => {
+            const pronunciation = entry.ipa || entry.pronunciation;
+            const front = Utils.escapeHtml(entry.word) +
+                (pronunciation ? `<br><i>/${Utils.escapeHtml(pronunciation)}/</i>` : '');
+            const back = Utils.escapeHtml(entry.definition || '') +
+                (entry.example ? `<br><br><i>“${Utils.escapeHtml(entry.example)}”</i>` : '') +
+                (entry.origin ? `<br><br><i>${Utils.escapeHtml(entry.origin)}</i>` : '') +
+                (entry.etymology ? `<br><small>${Utils.escapeHtml(entry.etymology)}</small>` : '') +
+                (entry.queries || []).map(q => `<br><small>“${Utils.escapeHtml(q.query)}”</small>`).join('') +
+                (entry.note ? `<br><small>${Utils.escapeHtml(entry.note)}</small>` : '');
+            const tags = ['a-word-for-this', Archive.languageOf(entry), ...(entry.tags || [])]
+                .map(tag)
+                .join(' ');
+
+            return [field(front), field(back), tags].join('\t');
+        });
+
+        return [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic',
+            '#deck:A Word for This',
+            '#tags column:3',
+            ...lines
+        ].join('\n') + '\n';
+    },
+
+    /**
+     * Read entries from a JSON export (or a bare array of entries)
+     *
+     * Entries without a word and definition are dropped; a missing or
+     * unreadable timestamp becomes now. Throws if the file isn't an export.
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('That file isn\'t valid JSON.');
+        }
+
+        const entries = Array.isArray(data) ? data : data && data.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('That file isn\'t an archive export.');
+        }
+
+        const now = new Date().toISOString();
+        return entries
+            .filter(entry => entry && typeof entry.word === 'string' && entry.word.trim() &&
+                typeof entry.definition === 'string')
+            .map(entry => ({
+                ...entry,
+                word: entry.word.trim(),
+                timestamp: isNaN(new Date(entry.timestamp)) ? now : entry.timestamp
+            }));
+    },
+
+    /**
+     * Save text as a file, named after today's date
+     */
+    download(content, extension, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const date = new Date().toISOString().slice(0, 10);
+        link.download = `a-word-for-this-${date}.${extension}`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// ============================================
+// PERMALINK MODULE
+// ============================================
+const Permalink = {
+    // The word travels in the URL fragment, which browsers never send to a server
+    PREFIX: '#w=',
+
+    /**
+     * Encode a result as a URL-safe string (see permalink.js)
+     */
+    encode(result) {
+        return CardLink.encode(result);
+    },
+
+    /**
+     * Decode a string from encode() back into a result, or return null
+     */
+    decode(payload) {
+        return CardLink.decode(payload);
+    },
+
+    /**
+     * Link to share a result
+     *
+     * It goes to the share function's page, which gives link previews the
+     * card as an image and sends people on to this page's #w= link.
+     */
+    shareUrlFor(result) {
+        return `${window.location.origin}/.netlify/functions/share?w=${this.encode(result)}`;
+    },
+
+    /**
+     * The result in the current page's link, if it carries one
+     */
+    fromLocation() {
+        const { hash } = window.location;
+        return hash.startsWith(this.PREFIX) ? this.decode(hash.slice(this.PREFIX.length)) : null;
+    },
+
+    /**
+     * Drop a shared word from the address bar without reloading
+     */
+    clear() {
+        if (window.location.hash.startsWith(this.PREFIX)) {
+            const { pathname, search } = window.location;
+            window.history.replaceState(null, '', pathname + search);
+        }
+    }
+};
+
+// ============================================
+// UI MODULE
+// ============================================
+const UI = {
+    elements: {},
+    retryTimer: null,
+    archiveEntries: [],
+    journalMoments: [],
+    streamedFields: {},
+
+    /**
+     * Initialize UI - cache DOM references
+     */
+    init() {
+        this.elements = {
+            form: document.getElementById('word-form'),
+            input: document.getElementById('emotion-input'),
+            charCount: document.getElementById('char-count'),
+            compareToggle: document.getElementById('compare-toggle'),
+            submitBtn: document.getElementById('submit-btn'),
+            loadingSection: document.getElementById('loading-section'),
+            candidatesSection: document.getElementById('candidates-section'),
+            candidatesList: document.getElementById('candidates-list'),
+            candidatesNewSearchBtn: document.getElementById('candidates-new-search-btn'),
+            resultSection: document.getElementById('result-section'),
+            errorSection: document.getElementById('error-section'),
+            storageError: document.getElementById('storage-error'),
+            queueStatus: document.getElementById('queue-status'),
+            errorTitle: document.getElementById('error-title'),
+            errorMessage: document.getElementById('error-message'),
+            resultWord: document.getElementById('result-word'),
+            resultTransliteration: document.getElementById('result-transliteration'),
+            resultIpa: document.getElementById('result-ipa'),
+            resultRespelling: document.getElementById('result-respelling'),
+            speakBtn: document.getElementById('speak-btn'),
+            resultOrigin: document.getElementById('result-origin'),
+            resultDefinition: document.getElementById('result-definition'),
+            resultExample: document.getElementById('result-example'),
+            resultEtymology: document.getElementById('result-etymology'),
+            resultVerification: document.getElementById('result-verification'),
+            resultSource: document.getElementById('result-source'),
+            entryPanel: document.getElementById('entry-panel'),
+            entryQueries: document.getElementById('entry-queries'),
+            entryQueriesTitle: document.getElementById('entry-queries-title'),
+            entryQueriesList: document.getElementById('entry-queries-list'),
+            favoriteBtn: document.getElementById('favorite-btn'),
+            entryNote: document.getElementById('entry-note'),
+            entryTags: document.getElementById('entry-tags'),
+            deleteEntryBtn: document.getElementById('delete-entry-btn'),
+            refineBar: document.getElementById('refine-bar'),
+            refineOptions: document.getElementById('refine-options'),
+            refineTrail: document.getElementById('refine-trail'),
+            refineStatus: document.getElementById('refine-status'),
+            sharedNote: document.getElementById('shared-note'),
+            findOwnBtn: document.getElementById('find-own-btn'),
+            shareBtn: document.getElementById('share-btn'),
+            clippingPanel: document.getElementById('clipping-panel'),
+            clippingPreview: document.getElementById('clipping-preview'),
+            clippingTheme: document.getElementById('clipping-theme'),
+            clippingSize: document.getElementById('clipping-size'),
+            clippingDownloadBtn: document.getElementById('clipping-download-btn'),
+            clippingCloseBtn: document.getElementById('clipping-close-btn'),
+            shareSheetBtn: document.getElementById('share-sheet-btn'),
+            shareSheet: document.getElementById('share-sheet'),
+            nativeShareBtn: document.getElementById('native-share-btn'),
+            copyImageBtn: document.getElementById('copy-image-btn'),
+            copyTextBtn: document.getElementById('copy-text-btn'),
+            copyLinkBtn: document.getElementById('copy-link-btn'),
+            shareTargets: document.getElementById('share-targets'),
+            mastodonForm: document.getElementById('mastodon-form'),
+            mastodonInstance: document.getElementById('mastodon-instance'),
+            shareStatus: document.getElementById('share-status'),
+            newSearchBtn: document.getElementById('new-search-btn'),
+            retryBtn: document.getElementById('retry-btn'),
+            archiveToggle: document.getElementById('archive-toggle'),
+            journalToggle: document.getElementById('journal-toggle'),
+            journalView: document.getElementById('journal-view'),
+            journalMonth: document.getElementById('journal-month'),
+            journalPrev: document.getElementById('journal-prev'),
+            journalNext: document.getElementById('journal-next'),
+            journalCalendar: document.getElementById('journal-calendar'),
+            journalTimelineTitle: document.getElementById('journal-timeline-title'),
+            journalTimeline: document.getElementById('journal-timeline'),
+            archiveList: document.getElementById('archive-list'),
+            archiveControls: document.getElementById('archive-controls'),
+            archiveSearch: document.getElementById('archive-search'),
+            archiveLanguage: document.getElementById('archive-language'),
+            archiveTag: document.getElementById('archive-tag'),
+            archiveFavorites: document.getElementById('archive-favorites'),
+            archiveFrom: document.getElementById('archive-from'),
+            archiveTo: document.getElementById('archive-to'),
+            archiveSort: document.getElementById('archive-sort'),
+            archiveCount: document.getElementById('archive-count'),
+            archiveItems: document.getElementById('archive-items'),
+            clearArchive: document.getElementById('clear-archive'),
+            archiveExport: document.getElementById('archive-export'),
+            exportJsonBtn: document.getElementById('export-json-btn'),
+            exportCsvBtn: document.getElementById('export-csv-btn'),
+            exportAnkiBtn: document.getElementById('export-anki-btn'),
+            importBtn: document.getElementById('import-btn'),
+            importFile: document.getElementById('import-file'),
+            archiveStatus: document.getElementById('archive-status')
+        };
+        this.renderClippingOptions();
+    },
+
+    /**
+     * Fill the clipping style and size menus from the clipping template
+     */
+    renderClippingOptions() {
+        const fill = (select, choices) => {
+            select.innerHTML = Object.entries(choices)
+                .map(([name, choice]) => `<option value="${name}">${Utils.escapeHtml(choice.label)}</option>`)
+                .join('');
+        };
+        fill(this.elements.clippingTheme, Clipping.THEMES);
+        fill(this.elements.clippingSize, Clipping.SIZES);
+    },
+
+    /**
+     * Show or hide the clipping preview, drawn in the chosen style and size
+     */
+    renderClipping(result, options) {
+        const isOpen = Boolean(result);
+        this.elements.clippingPanel.hidden = !isOpen;
+        this.elements.shareBtn.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen) return;
+
+        this.elements.clippingTheme.value = options.theme;
+        this.elements.clippingSize.value = options.size;
+        Share.drawClipping(this.elements.clippingPreview, result, options);
+    },
+
+    /**
+     * Update character count display
+     */
+    updateCharCount(count) {
+        this.elements.charCount.textContent = `${count} / ${Config.MAX_CHARS}`;
+    },
+
+    /**
+     * Render loading state
+     */
+    renderLoadingState(isLoading) {
+        this.elements.loadingSection.hidden = !isLoading;
+        // Stay disabled while a rate-limit countdown is running
+        this.elements.submitBtn.disabled = isLoading || Boolean(this.retryTimer);
+
+        if (isLoading) {
+            // Only hide other sections when starting to load
+            this.elements.resultSection.hidden = true;
+            this.elements.candidatesSection.hidden = true;
+            this.elements.errorSection.hidden = true;
+            this.elements.submitBtn.textContent = 'Searching...';
+        } else {
+            this.elements.submitBtn.textContent = 'Find the Word';
+        }
+    },
+
+    /**
+     * Render result
+     */
+    renderResult(result) {
+        // Hide loading
+        this.elements.loadingSection.hidden = true;
+        this.elements.candidatesSection.hidden = true;
+        this.elements.errorSection.hidden = true;
+
+        // Add showing-result class to body for screen transition
+        document.body.classList.add('showing-result');
+
+        // Populate result fields
+        this.elements.resultWord.textContent = result.word;
+        this.renderPronunciation(result);
+        this.renderSpeaking(false);
+        this.elements.speakBtn.hidden = !Speech.canSpeak();
+        this.elements.resultOrigin.textContent = result.origin;
+        this.elements.resultDefinition.textContent = result.definition;
+        this.renderDetails(result);
+        this.elements.resultSource.hidden = result.source !== 'lexicon';
+        this.elements.refineBar.hidden = true;
+        this.elements.sharedNote.hidden = true;
+        this.renderClipping(null);
+        this.renderShareSheet(false);
+
+        // Say whether the word could be checked, so made-up words aren't shared as fact
+        const verification = this.describeVerification(result.verification);
+        this.elements.resultVerification.hidden = !verification;
+        if (verification) {
+            this.elements.resultVerification.textContent = verification;
+            this.elements.resultVerification.dataset.status = result.verification.status;
+        }
+
+        // A streamed card has already faded in field by field
+        const wasStreaming = !this.elements.resultSection.hidden &&
+            this.elements.resultSection.classList.contains('result-section--streaming');
+        this.elements.resultSection.classList.remove('result-section--streaming');
+
+        // Show result section with fade in
+        this.elements.resultSection.hidden = false;
+        if (!wasStreaming) {
+            const wordCard = this.elements.resultSection.querySelector('.word-card');
+            wordCard.classList.remove('fade-in');
+            void wordCard.offsetWidth; // Force reflow
+            wordCard.classList.add('fade-in');
+        }
+
+        // Scroll to top smoothly
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    },
+
+    /**
+     * Fill in one field of the word card while the answer streams in
+     */
+    renderResultField(name, value) {
+        const fieldElements = {
+            word: this.elements.resultWord,
+            native: this.elements.resultWord,
+            transliteration: this.elements.resultTransliteration,
+            pronunciation: this.elements.resultRespelling,
+            ipa: this.elements.resultIpa,
+            origin: this.elements.resultOrigin,
+            definition: this.elements.resultDefinition,
+            example: this.elements.resultExample,
+            etymology: this.elements.resultEtymology
+        };
+        const element = fieldElements[name];
+        if (!element) return;
+
+        // First field: swap the loading text for an empty card
+        if (this.elements.resultSection.hidden) {
+            this.elements.loadingSection.hidden = true;
+            this.elements.errorSection.hidden = true;
+            this.elements.resultSource.hidden = true;
+            this.elements.resultVerification.hidden = true;
+            this.elements.entryPanel.hidden = true;
+            this.elements.refineBar.hidden = true;
+            this.elements.sharedNote.hidden = true;
+            this.elements.speakBtn.hidden = true;
+            this.renderClipping(null);
+            this.renderShareSheet(false);
+            document.body.classList.add('showing-result');
+
+            Object.values(fieldElements).forEach(el => {
+                el.textContent = '';
+            });
+            this.streamedFields = {};
+            this.renderDetails(this.streamedFields);
+            this.elements.resultSection.classList.add('result-section--streaming');
+            this.elements.resultSection.hidden = false;
+        }
+
+        const fields = this.streamedFields;
+        fields[name] = value;
+        if (name === 'word' || name === 'native') {
+            // The native script joins the word in parentheses, as in the final answer
+            const word = fields.word || '';
+            element.textContent = fields.native && !word.includes(fields.native)
+                ? `${word} (${fields.native})`
+                : word;
+        } else if (name === 'pronunciation' || name === 'ipa') {
+            // Whether the respelling gets slashes depends on whether IPA came too
+            this.renderPronunciation(fields);
+        } else if (['transliteration', 'example', 'etymology'].includes(name)) {
+            this.renderDetails(fields);
+        } else {
+            element.textContent = value;
+        }
+        element.classList.remove('fade-in');
+        void element.offsetWidth; // Force reflow
+        element.classList.add('fade-in');
+    },
+
+    /**
+     * Show a word's IPA between slashes, followed by the model's respelling
+     *
+     * Words without IPA (archived before it was asked for, or from the
+     * lexicon) show the respelling between the slashes instead.
+     */
+    renderPronunciation({ ipa, pronunciation }) {
+        this.elements.resultIpa.textContent = ipa ? `/${ipa}/` : '';
+        this.elements.resultRespelling.textContent = pronunciation && !ipa
+            ? `/${pronunciation}/`
+            : pronunciation || '';
+    },
+
+    /**
+     * Show the word card's optional lines: romanization, example sentence and etymology
+     */
+    renderDetails(result) {
+        const details = {
+            resultTransliteration: Archive.transliterationOf(result),
+            resultExample: result.example ? `“${result.example}”` : '',
+            resultEtymology: result.etymology || ''
+        };
+        Object.entries(details).forEach(([name, text]) => {
+            this.elements[name].textContent = text;
+            this.elements[name].hidden = !text;
+        });
+    },
+
+    /**
+     * Mark the play button while the word is being spoken
+     */
+    renderSpeaking(isSpeaking) {
+        this.elements.speakBtn.setAttribute('aria-pressed', String(isSpeaking));
+    },
+
+    /**
+     * Render ranked candidate words for the user to pick from
+     */
+    renderCandidates(candidates) {
+        this.elements.loadingSection.hidden = true;
+        this.elements.resultSection.hidden = true;
+        this.elements.errorSection.hidden = true;
+
+        document.body.classList.add('showing-result');
+
+        this.elements.candidatesList.innerHTML = '';
+
+        candidates.forEach((candidate, index) => {
+            const li = document.createElement('li');
+            li.className = 'candidate-item';
+
+            const verification = this.describeVerification(candidate.verification);
+
+            li.innerHTML = `
+                <div class="candidate-header">
+                    <span class="candidate-word">${Utils.escapeHtml(candidate.word)}</span>
+                    <span class="candidate-fit">${candidate.fit}% fit</span>
+                    ${verification ? `<span class="candidate-verification" data-status="${Utils.escapeHtml(candidate.verification.status)}">${Utils.escapeHtml(verification)}</span>` : ''}
+                </div>
+                <p class="candidate-origin">${Utils.escapeHtml(candidate.origin)}</p>
+                <p class="candidate-note">${Utils.escapeHtml(candidate.note || candidate.definition)}</p>
+                <button class="action-btn candidate-choose-btn">Choose</button>
+            `;
+
+            li.querySelector('.candidate-choose-btn').addEventListener('click', () => {
+                Handlers.handleChooseCandidate(index);
+            });
+
+            this.elements.candidatesList.appendChild(li);
+        });
+
+        this.elements.candidatesSection.hidden = false;
+        this.elements.candidatesSection.classList.remove('fade-in');
+        void this.elements.candidatesSection.offsetWidth; // Force reflow
+        this.elements.candidatesSection.classList.add('fade-in');
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    },
+
+    /**
+     * Describe a word's lexicon check for display, or return null if it has none
+     */
+    describeVerification(verification) {
+        if (!verification) return null;
+
+        const labels = {
+            verified: '✓ Verified in our lexicon',
+            mismatch: `Our lexicon lists this word as ${verification.expectedOrigin}`,
+            unverified: 'Unverified: not in our lexicon, so double-check before sharing'
+        };
+        return labels[verification.status] || null;
+    },
+
+    /**
+     * Show the ways to refine the word card, and the words found so far
+     */
+    renderRefineBar(conversation) {
+        this.elements.refineBar.hidden = !conversation;
+        if (!conversation) return;
+
+        const { steps, index } = conversation;
+        const atLimit = index >= Config.MAX_REFINEMENTS;
+        this.renderRefining(false, atLimit);
+        this.renderRefineStatus(atLimit ? 'That\'s as far as refining goes. Try describing the feeling another way.' : '');
+
+        this.elements.refineTrail.hidden = steps.length < 2;
+        this.elements.refineTrail.innerHTML = steps.map(({ result }, stepIndex) => `
+            <li>
+                <button class="refine-step" data-step="${stepIndex}"${stepIndex === index ? ' aria-current="true"' : ''}>${Utils.escapeHtml(result.word)}</button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Disable the refine buttons while another word is on its way
+     */
+    renderRefining(isRefining, atLimit = false) {
+        this.elements.refineOptions.querySelectorAll('button').forEach(button => {
+            button.disabled = isRefining || atLimit;
+        });
+        if (isRefining) {
+            this.renderRefineStatus('Finding another word…');
+        }
+    },
+
+    /**
+     * Say how refining went
+     */
+    renderRefineStatus(message) {
+        this.elements.refineStatus.textContent = message;
+    },
+
+    /**
+     * Show that the word card came from someone else's link
+     */
+    renderSharedNote() {
+        this.elements.sharedNote.hidden = false;
+    },
+
+    /**
+     * Show or hide the share sheet, offering only what this browser can do
+     */
+    renderShareSheet(isOpen, capabilities, instance) {
+        this.elements.shareSheet.hidden = !isOpen;
+        this.elements.shareSheetBtn.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen) return;
+
+        this.elements.nativeShareBtn.hidden = !capabilities.nativeShare;
+        this.elements.copyImageBtn.hidden = !capabilities.copyImage;
+        this.elements.mastodonInstance.value = instance;
+        this.renderShareStatus('');
+    },
+
+    /**
+     * Say how sharing went, with a link to follow by hand if a window was blocked
+     */
+    renderShareStatus(message, url = null) {
+        const status = this.elements.shareStatus;
+        status.textContent = message;
+        if (url) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'Open it here.';
+            status.append(' ', link);
+        }
+    },
+
+    /**
+     * Render error state
+     */
+    renderError(error) {
+        this.elements.loadingSection.hidden = true;
+        this.elements.candidatesSection.hidden = true;
+        this.elements.resultSection.hidden = true;
+        this.elements.resultSection.classList.remove('result-section--streaming');
+        this.elements.errorSection.hidden = false;
+
+        const message = error instanceof Error ? error.message : error;
+        this.stopRetryCountdown();
+
+        // Limits enforced by the server get their own treatment
+        if (error && error.status === 429) {
+            this.elements.errorSection.dataset.kind = 'rate-limited';
+            this.elements.errorTitle.textContent = 'Slow down a little';
+            this.elements.errorTitle.hidden = false;
+            this.elements.errorMessage.textContent = 'You\'ve asked for a lot of words in a short time. Take a breath and try again shortly.';
+            this.startRetryCountdown(error.retryAfter || 30);
+        } else if (error && error.status === 413) {
+            this.elements.errorSection.dataset.kind = 'too-long';
+            this.elements.errorTitle.textContent = 'That\'s a lot to hold';
+            this.elements.errorTitle.hidden = false;
+            this.elements.errorMessage.textContent = `Please describe your feeling in ${Config.MAX_CHARS} characters or fewer.`;
+        } else {
+            delete this.elements.errorSection.dataset.kind;
+            this.elements.errorTitle.hidden = true;
+            this.elements.errorMessage.textContent = message;
+        }
+    },
+
+    /**
+     * Keep the retry button disabled until the server's Retry-After has passed
+     */
+    startRetryCountdown(seconds) {
+        let remaining = Math.ceil(seconds);
+        const tick = () => {
+            if (remaining <= 0) {
+                this.stopRetryCountdown();
+                return;
+            }
+            this.elements.retryBtn.disabled = true;
+            this.elements.submitBtn.disabled = true;
+            this.elements.retryBtn.textContent = `Try again in ${remaining}s`;
+            remaining--;
+        };
+
+        tick();
+        this.retryTimer = setInterval(tick, 1000);
+    },
+
+    /**
+     * Clear any running retry countdown
+     */
+    stopRetryCountdown() {
+        if (this.retryTimer) {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.elements.retryBtn.disabled = false;
+        this.elements.submitBtn.disabled = State.isLoading;
+        this.elements.retryBtn.textContent = 'Try Again';
+    },
+
+    /**
+     * Reset to input state
+     */
+    resetToInput() {
+        // Remove showing-result class for screen transition back
+        document.body.classList.remove('showing-result');
+
+        this.elements.loadingSection.hidden = true;
+        this.elements.candidatesSection.hidden = true;
+        this.elements.resultSection.hidden = true;
+        this.elements.errorSection.hidden = true;
+        this.elements.refineBar.hidden = true;
+        this.elements.sharedNote.hidden = true;
+        this.renderClipping(null);
+        this.renderShareSheet(false);
+        this.elements.input.value = '';
+        this.updateCharCount(0);
+
+        // Scroll to top then focus input
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        setTimeout(() => {
+            this.elements.input.focus();
+        }, 300);
+    },
+
+    /**
+     * Toggle archive visibility
+     */
+    toggleArchiveVisibility(isOpen) {
+        this.elements.archiveList.hidden = !isOpen;
+        this.elements.archiveToggle.textContent = isOpen ? 'Hide Archive' : 'View Archive';
+    },
+
+    /**
+     * Show or hide the journal
+     */
+    toggleJournalVisibility(isOpen) {
+        this.elements.journalView.hidden = !isOpen;
+        this.elements.journalToggle.textContent = isOpen ? 'Close Journal' : 'Open Journal';
+    },
+
+    /**
+     * Render the journal: a month calendar and a day-by-day timeline of feelings
+     *
+     * With a selected day the timeline shows just that day, otherwise the whole month.
+     */
+    renderJournal(history, month, selectedDay) {
+        const days = Journal.byDay(Journal.moments(history));
+        const todayKey = Journal.dayKey(new Date());
+
+        this.elements.journalMonth.textContent = month.toLocaleDateString('en-US', {
+            month: 'long',
+            year: 'numeric'
+        });
+
+        // Calendar: each day shaded by how many feelings were written down
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+            .map(day => `<th scope="col">${day}</th>`)
+            .join('');
+        const weeks = Journal.calendar(month).map(week => `<tr>${week.map(date => {
+            if (!date) return '<td></td>';
+
+            const key = Journal.dayKey(date);
+            const moments = days.get(key) || [];
+            const level = Math.min(moments.length, 3);
+            const classes = [
+                'calendar-day',
+                key === todayKey ? 'calendar-day--today' : '',
+                key === selectedDay ? 'calendar-day--selected' : ''
+            ].filter(Boolean).join(' ');
+            const label = moments.length > 0
+                ? `${date.getDate()}: ${moments.map(m => m.entry.word).join(', ')}`
+                : String(date.getDate());
+
+            return `
+                <td>
+                    <button class="${classes}" data-day="${key}" data-level="${level}" aria-label="${Utils.escapeHtml(label)}" ${moments.length === 0 ? 'disabled' : ''}>
+                        <span class="calendar-date">${date.getDate()}</span>
+                        ${moments.length > 0 ? `<span class="calendar-word">${Utils.escapeHtml(moments[0].entry.word)}</span>` : ''}
+                    </button>
+                </td>
+            `;
+        }).join('')}</tr>`).join('');
+
+        this.elements.journalCalendar.innerHTML = `<thead><tr>${weekdays}</tr></thead><tbody>${weeks}</tbody>`;
+
+        // Timeline: the chosen day, or every day of the month, newest first
+        const monthPrefix = Journal.dayKey(month).slice(0, 7);
+        const shown = [...days.entries()].filter(([key]) =>
+            selectedDay ? key === selectedDay : key.startsWith(monthPrefix)
+        );
+
+        this.elements.journalTimelineTitle.textContent = selectedDay
+            ? new Date(`${selectedDay}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })
+            : 'This month';
+
+        this.journalMoments = [];
+        if (shown.length === 0) {
+            this.elements.journalTimeline.innerHTML = '<li class="archive-empty">No feelings written down this month</li>';
+            return;
+        }
+
+        this.elements.journalTimeline.innerHTML = shown.map(([key, moments]) => {
+            const heading = new Date(`${key}T00:00:00`).toLocaleDateString('en-US', {
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric'
+            });
+            const items = moments.map(moment => {
+                const index = this.journalMoments.push(moment) - 1;
+                const time = new Date(moment.timestamp).toLocaleTimeString('en-US', {
+                    hour: 'numeric',
+                    minute: '2-digit'
+                });
+                return `
+                    <li class="timeline-item">
+                        <span class="timeline-time">${time}</span>
+                        <button class="timeline-word" data-moment="${index}">${Utils.escapeHtml(moment.entry.word)}</button>
+                        ${moment.query ? `<q class="timeline-query">${Utils.escapeHtml(moment.query)}</q>` : ''}
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <li class="timeline-day">
+                    <h3 class="timeline-date">${heading}</h3>
+                    <ul class="timeline-items">${items}</ul>
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Render archive list, searched, filtered and sorted
+     *
+     * candidates are the entries the store's indexes found for the date and
+     * language filters; the menus and counts still cover the whole history.
+     */
+    renderArchive(history, filters, candidates = history) {
+        this.elements.archiveItems.innerHTML = '';
+        this.archiveEntries = [];
+
+        if (history.length === 0) {
+            this.elements.archiveItems.innerHTML = '<li class="archive-empty">No words saved yet</li>';
+            this.elements.clearArchive.hidden = true;
+            this.elements.archiveControls.hidden = true;
+            this.elements.archiveExport.hidden = true;
+            return;
+        }
+
+        this.elements.clearArchive.hidden = false;
+        this.elements.archiveControls.hidden = false;
+        this.elements.archiveExport.hidden = false;
+        // A language or tag whose last word was removed no longer filters anything
+        const languages = Archive.languages(history);
+        const tags = Archive.tags(history);
+        const active = {
+            ...filters,
+            language: languages.includes(filters.language) ? filters.language : '',
+            tag: tags.includes(filters.tag) ? filters.tag : ''
+        };
+
+        this.renderFilterOptions(this.elements.archiveLanguage, languages, active.language, 'All languages');
+        this.renderFilterOptions(this.elements.archiveTag, tags, active.tag, 'All tags');
+        this.elements.archiveTag.hidden = tags.length === 0;
+        this.elements.archiveFavorites.checked = active.favorites;
+
+        const entries = Archive.query(candidates, active);
+        this.archiveEntries = entries;
+        this.elements.archiveCount.textContent = entries.length === history.length
+            ? `${history.length} ${history.length === 1 ? 'word' : 'words'}`
+            : `${entries.length} of ${history.length} words`;
+
+        if (entries.length === 0) {
+            this.elements.archiveItems.innerHTML = '<li class="archive-empty">No words match</li>';
+            return;
+        }
+
+        // One formatter, one innerHTML write and one delegated click handler keep long archives quick
+        const dateFormat = new Intl.DateTimeFormat('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+
+        this.elements.archiveItems.innerHTML = entries.map((entry, index) => {
+            const date = new Date(Archive.lastQueriedOf(entry));
+            const formattedDate = isNaN(date) ? '' : dateFormat.format(date);
+
+            const word = Utils.escapeHtml(entry.word);
+            const origin = [Archive.languageOf(entry), Archive.transliterationOf(entry)]
+                .filter(Boolean)
+                .map(text => Utils.escapeHtml(text))
+                .join(' · ');
+            const tags = (entry.tags || []).map(tag => `#${Utils.escapeHtml(tag)}`).join(' ');
+            const count = (entry.queries || []).length;
+
+            return `
+                <li class="archive-item" data-index="${index}">
+                    <span class="archive-item-main">
+                        <span class="archive-item-word">${word}${count > 1 ? ` <span class="archive-item-count" title="Found for ${count} feelings">×${count}</span>` : ''}</span>
+                        <span class="archive-item-origin">${origin}</span>
+                        ${tags ? `<span class="archive-item-tags">${tags}</span>` : ''}
+                    </span>
+                    <span class="archive-item-meta">
+                        <span class="archive-item-date">${formattedDate}</span>
+                        <button class="archive-item-btn" data-action="favorite" aria-pressed="${Boolean(entry.favorite)}" aria-label="Favorite ${word}">${entry.favorite ? '★' : '☆'}</button>
+                        <button class="archive-item-btn" data-action="delete" aria-label="Remove ${word}">×</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Warn that the archive couldn't be read or written, or clear the warning with null
+     */
+    renderStorageError(error) {
+        this.elements.storageError.textContent = error ? History.describeError(error) : '';
+        this.elements.storageError.hidden = !error;
+    },
+
+    /**
+     * Say what happened to feelings queued while offline, or clear the notice with null
+     */
+    renderQueueStatus(message) {
+        this.elements.queueStatus.textContent = message || '';
+        this.elements.queueStatus.hidden = !message;
+    },
+
+    /**
+     * Show the outcome of an import under the archive
+     */
+    renderArchiveStatus(message) {
+        this.elements.archiveStatus.textContent = message;
+        this.elements.archiveStatus.hidden = !message;
+    },
+
+    /**
+     * Fill an archive filter's options, keeping the current choice
+     */
+    renderFilterOptions(select, values, selected, allLabel) {
+        const key = values.join('\n');
+        if (select.dataset.values !== key) {
+            select.dataset.values = key;
+            select.innerHTML = `<option value="">${allLabel}</option>` + values
+                .map(value => `<option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(value)}</option>`)
+                .join('');
+        }
+        select.value = selected;
+    },
+
+    /**
+     * Show the favorite, note and tags of the saved entry on the word card, or hide them with null
+     */
+    renderEntryPanel(entry) {
+        this.elements.entryPanel.hidden = !entry;
+        if (!entry) return;
+
+        // Every feeling that has led to this word, oldest first
+        const queries = entry.queries || [];
+        this.elements.entryQueriesTitle.textContent = queries.length === 1
+            ? 'The feeling that led here'
+            : `${queries.length} feelings that led here`;
+        this.elements.entryQueries.hidden = queries.length === 0;
+        this.elements.entryQueriesList.innerHTML = queries.map(q => {
+            const date = new Date(q.timestamp).toLocaleDateString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric'
+            });
+            return `<li><q>${Utils.escapeHtml(q.query)}</q> <span class="entry-query-date">${date}</span></li>`;
+        }).join('');
+
+        this.elements.favoriteBtn.textContent = entry.favorite ? '★ Favorite' : '☆ Favorite';
+        this.elements.favoriteBtn.setAttribute('aria-pressed', String(Boolean(entry.favorite)));
+
+        // Don't overwrite what the user is typing
+        if (document.activeElement !== this.elements.entryNote) {
+            this.elements.entryNote.value = entry.note || '';
+        }
+        if (document.activeElement !== this.elements.entryTags) {
+            this.elements.entryTags.value = (entry.tags || []).join(', ');
+        }
+    }
+};
+
+// ============================================
+// STATE MANAGEMENT
+// ============================================
+const State = {
+    currentResult: null,
+    candidates: [],
+    candidatesQuery: null,
+    // The feeling behind the word card and each word found for it, so it can be
+    // refined: { query, steps: [{ result, feedback }], index } with index the step shown
+    conversation: null,
+    isRefining: false,
+    isLoading: false,
+    error: null,
+    history: [],
+    archiveOpen: false,
+    journalOpen: false,
+    journalMonth: null,
+    journalDay: null,
+    clippingOpen: false,
+    shareSheetOpen: false,
+    shareFile: null,
+    clippingOptions: {
+        theme: Clipping.DEFAULT_THEME,
+        size: Clipping.DEFAULT_SIZE
+    },
+    // Counts archive renders, so a slow index lookup can't overwrite a newer one
+    archiveRender: 0,
+    archiveFilters: {
+        search: '',
+        language: '',
+        tag: '',
+        favorites: false,
+        from: '',
+        to: '',
+        sort: 'newest'
+    },
+
+    setLoading(isLoading) {
+        this.isLoading = isLoading;
+        UI.renderLoadingState(isLoading);
+    },
+
+    setResult(result) {
+        Speech.stop();
+        this.currentResult = result;
+        this.conversation = null;
+        this.clippingOpen = false;
+        this.shareSheetOpen = false;
+        this.shareFile = null;
+        this.error = null;
+        UI.renderResult(result);
+        UI.renderEntryPanel(this.findEntry(result));
+    },
+
+    /**
+     * Let the word card be refined, remembering the feeling that found it
+     */
+    startConversation(query) {
+        this.setConversation({
+            query,
+            steps: [{ result: this.currentResult, feedback: null }],
+            index: 0
+        });
+    },
+
+    /**
+     * Show the conversation's word at its index
+     */
+    setConversation(conversation) {
+        this.setResult(conversation.steps[conversation.index].result);
+        this.conversation = conversation;
+        UI.renderRefineBar(conversation);
+    },
+
+    /**
+     * Forget the conversation, so a refinement still on its way isn't shown
+     */
+    endConversation() {
+        this.conversation = null;
+    },
+
+    /**
+     * The words so far with feedback on the one shown, ready to send
+     *
+     * Feedback on an earlier word from the trail drops the words after it.
+     */
+    refinementSteps(feedback) {
+        const { steps, index } = this.conversation;
+        return [...steps.slice(0, index), { ...steps[index], feedback }];
+    },
+
+    /**
+     * Show a refined word as the conversation's newest step
+     */
+    addRefinement(steps, result) {
+        this.setConversation({
+            query: this.conversation.query,
+            steps: [...steps, { result, feedback: null }],
+            index: steps.length
+        });
+    },
+
+    setRefining(isRefining) {
+        this.isRefining = isRefining;
+        UI.renderRefining(isRefining, this.conversation && this.conversation.index >= Config.MAX_REFINEMENTS);
+    },
+
+    /**
+     * Show a word someone shared by link; it isn't added to the archive
+     */
+    setSharedResult(result) {
+        this.setResult(result);
+        UI.renderSharedNote();
+    },
+
+    /**
+     * Find the saved archive entry for a result, if there is one
+     */
+    findEntry(result) {
+        if (!result || !result.word) return null;
+        const key = result.word.toLowerCase();
+        return this.history.find(entry => entry.key === key) || null;
+    },
+
+    /**
+     * Keep the word card's entry panel in step with the archive
+     */
+    refreshEntryPanel() {
+        if (this.currentResult) {
+            UI.renderEntryPanel(this.findEntry(this.currentResult));
+        }
+    },
+
+    setCandidates(candidates, query) {
+        this.candidates = candidates;
+        this.candidatesQuery = query;
+        this.currentResult = null;
+        this.error = null;
+        UI.renderCandidates(candidates);
+    },
+
+    setError(error) {
+        this.error = error;
+        this.currentResult = null;
+        UI.renderError(error);
+    },
+
+    async loadHistory() {
+        try {
+            await History.init();
+            this.history = await History.load();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            UI.renderStorageError(error);
+        }
+        this.renderHistory();
+    },
+
+    // Saving never throws: a word that can't be stored is still shown, with a warning
+    async addToHistory(entry) {
+        try {
+            this.history = await History.add(entry);
+            UI.renderStorageError(null);
+        } catch (error) {
+            console.error('Failed to save history:', error);
+            UI.renderStorageError(error);
+        }
+        this.renderHistory();
+        this.refreshEntryPanel();
+    },
+
+    async updateEntry(entry, changes) {
+        try {
+            this.history = await History.update(entry, changes);
+            UI.renderStorageError(null);
+        } catch (error) {
+            console.error('Failed to update history:', error);
+            UI.renderStorageError(error);
+        }
+        this.renderHistory();
+        this.refreshEntryPanel();
+    },
+
+    async removeEntry(entry) {
+        try {
+            this.history = await History.remove(entry);
+            UI.renderStorageError(null);
+        } catch (error) {
+            console.error('Failed to remove from history:', error);
+            UI.renderStorageError(error);
+        }
+        this.renderHistory();
+        this.refreshEntryPanel();
+    },
+
+    async clearHistory() {
+        try {
+            this.history = await History.clear();
+            UI.renderStorageError(null);
+        } catch (error) {
+            console.error('Failed to clear history:', error);
+            UI.renderStorageError(error);
+        }
+        this.renderHistory();
+        this.refreshEntryPanel();
+    },
+
+    /**
+     * Queue a feeling that couldn't reach the server; resolves with whether it was queued
+     *
+     * withStopgap says a lexicon word is shown for it in the meantime.
+     */
+    async queueLookup(query, withStopgap = false) {
+        try {
+            await Offline.queue(query);
+        } catch (error) {
+            console.error('Failed to queue lookup:', error);
+            return false;
+        }
+        const stopgap = withStopgap ? ' Until then, here\'s a word from the offline lexicon.' : '';
+        UI.renderQueueStatus(`You're offline. “${query}” will be looked up when you're back online, and its word saved to your archive.${stopgap}`);
+        return true;
+    },
+
+    /**
+     * Save the words found for queued feelings to the archive and say what was found
+     */
+    async collectQueuedLookups() {
+        if (!Offline.canQueue()) return;
+
+        let settled;
+        try {
+            settled = (await LookupQueue.all()).filter(item => item.status !== 'pending');
+        } catch (error) {
+            console.error('Failed to read queued lookups:', error);
+            return;
+        }
+        if (settled.length === 0) return;
+
+        // Each word keeps the feeling and the time it was asked, not when it was found
+        const found = settled.filter(item => item.status === 'done' && item.result && item.result.word);
+        const failed = settled.filter(item => !found.includes(item));
+        try {
+            const { history } = await History.merge(found.map(item => ({
+                ...item.result,
+                query: item.query,
+                timestamp: item.timestamp
+            })));
+            this.history = history;
+            await LookupQueue.remove(settled.map(item => item.id));
+            UI.renderStorageError(null);
+        } catch (error) {
+            console.error('Failed to save queued lookups:', error);
+            UI.renderStorageError(error);
+            return;
+        }
+        this.renderHistory();
+        this.refreshEntryPanel();
+
+        const words = [...new Set(found.map(item => item.result.word))];
+        const messages = [];
+        if (words.length > 0) {
+            messages.push(`Found while you were offline: ${words.join(', ')}. ${words.length === 1 ? 'It\'s' : 'They\'re'} in your archive.`);
+        }
+        if (failed.length > 0) {
+            messages.push(`No word could be found for ${failed.map(item => `“${item.query}”`).join(', ')}.`);
+        }
+        UI.renderQueueStatus(messages.join(' '));
+    },
+
+    async importHistory(entries) {
+        try {
+            const { history, added, merged, skipped } = await History.merge(entries);
+            this.history = history;
+            this.renderHistory();
+            this.refreshEntryPanel();
+            return { added, merged, skipped };
+        } catch (error) {
+            console.error('Failed to import history:', error);
+            throw new Error(History.describeError(error));
+        }
+    },
+
+    setArchiveFilters(changes) {
+        this.archiveFilters = { ...this.archiveFilters, ...changes };
+        this.renderHistory();
+    },
+
+    /**
+     * Re-render everything built from history
+     *
+     * The archive's date and language filters are looked up in the store's
+     * indexes; a newer render started meanwhile wins.
+     */
+    async renderHistory() {
+        if (this.journalOpen) {
+            UI.renderJournal(this.history, this.journalMonth, this.journalDay);
+        }
+
+        const render = ++this.archiveRender;
+        const filters = this.archiveFilters;
+
+        // A language whose last word was removed no longer filters anything
+        const language = Archive.languages(this.history).includes(filters.language) ? filters.language : '';
+        let candidates = null;
+        try {
+            candidates = await History.findForFilters({ ...filters, language });
+        } catch (error) {
+            console.error('Failed to query the archive:', error);
+        }
+
+        if (render === this.archiveRender) {
+            UI.renderArchive(this.history, filters, candidates || this.history);
+        }
+    },
+
+    toggleJournal() {
+        this.journalOpen = !this.journalOpen;
+
+        // Open on the month of the latest feeling
+        if (this.journalOpen && !this.journalMonth) {
+            const [latest] = Journal.moments(this.history);
+            const date = latest ? new Date(latest.timestamp) : new Date();
+            this.journalMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        }
+
+        UI.toggleJournalVisibility(this.journalOpen);
+        this.renderHistory();
+    },
+
+    moveJournalMonth(offset) {
+        const month = this.journalMonth;
+        this.journalMonth = new Date(month.getFullYear(), month.getMonth() + offset, 1);
+        this.journalDay = null;
+        this.renderHistory();
+    },
+
+    selectJournalDay(day) {
+        // Choosing the selected day again goes back to the whole month
+        this.journalDay = day === this.journalDay ? null : day;
+        this.renderHistory();
+    },
+
+    toggleArchive() {
+        this.archiveOpen = !this.archiveOpen;
+        UI.toggleArchiveVisibility(this.archiveOpen);
+    },
+
+    /**
+     * Restore the clipping style and size chosen last time
+     */
+    loadClippingOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Config.CLIPPING_KEY)) || {};
+            this.clippingOptions = {
+                theme: Clipping.THEMES[saved.theme] ? saved.theme : Clipping.DEFAULT_THEME,
+                size: Clipping.SIZES[saved.size] ? saved.size : Clipping.DEFAULT_SIZE
+            };
+        } catch (error) {
+            console.warn('Ignoring saved clipping options:', error);
+        }
+    },
+
+    setClippingOptions(changes) {
+        this.clippingOptions = { ...this.clippingOptions, ...changes };
+        localStorage.setItem(Config.CLIPPING_KEY, JSON.stringify(this.clippingOptions));
+        this.renderClipping();
+        if (this.shareSheetOpen) {
+            this.prepareShareFile();
+        }
+    },
+
+    toggleClipping() {
+        this.clippingOpen = !this.clippingOpen;
+        this.renderClipping();
+    },
+
+    renderClipping() {
+        UI.renderClipping(this.clippingOpen ? this.currentResult : null, this.clippingOptions);
+    },
+
+    toggleShareSheet() {
+        this.shareSheetOpen = !this.shareSheetOpen;
+        if (this.shareSheetOpen) {
+            this.prepareShareFile();
+        }
+        UI.renderShareSheet(
+            this.shareSheetOpen,
+            Share.capabilities(),
+            localStorage.getItem(Config.MASTODON_KEY) || ''
+        );
+    },
+
+    /**
+     * Draw the clipping to attach before it's needed
+     *
+     * Browsers only open a share sheet straight from a click, with no
+     * waiting in between, so the image has to be ready beforehand.
+     */
+    prepareShareFile() {
+        const result = this.currentResult;
+        this.shareFile = null;
+        Share.clippingFile(result, this.clippingOptions)
+            .then(file => {
+                if (this.currentResult === result) {
+                    this.shareFile = file;
+                }
+            })
+            .catch(error => console.error('Failed to draw clipping for sharing:', error));
+    },
+
+    setMastodonInstance(instance) {
+        localStorage.setItem(Config.MASTODON_KEY, instance);
+    }
+};
+
+// ============================================
+// API MODULE
+// ============================================
+const API = {
+    /**
+     * Ask the find-word function for a word
+     *
+     * With onField, the answer is streamed and onField(name, value) is called
+     * as each field arrives. Falls back to a plain request if streaming fails.
+     */
+    async findWord(userInput, onField) {
+        if (onField && this.canStream()) {
+            try {
+                const data = await this.request(userInput, { stream: true }, onField);
+                return this.toResult(data.result);
+            } catch (error) {
+                if (!error.isStreamError) throw error;
+                console.warn('Streaming failed, retrying without it:', error);
+            }
+        }
+
+        const data = await this.request(userInput);
+        return this.toResult(data.result);
+    },
+
+    /**
+     * Look the feeling up in the bundled lexicon after the function failed
+     *
+     * Returns null when nothing matches, or when the failure was a bad
+     * request or rate limit that an offline answer shouldn't paper over.
+     */
+    findOffline(userInput, error) {
+        if (typeof Lexicon === 'undefined') return null;
+        if (error && error.status && error.status < 500) return null;
+
+        const [match] = Lexicon.search(userInput, { limit: 1 });
+        return match ? this.toResult(Lexicon.toResult(match)) : null;
+    },
+
+    /**
+     * Check the browser can read a response body as a stream
+     */
+    canStream() {
+        return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    },
+
+    /**
+     * Ask the find-word function for several ranked words, best first
+     */
+    async findCandidates(userInput, count = Config.CANDIDATE_COUNT) {
+        const data = await this.request(userInput, { candidates: count });
+        const candidates = Array.isArray(data.candidates) ? data.candidates : [data.result];
+        return candidates.map(candidate => this.toResult(candidate));
+    },
+
+    /**
+     * Ask again for the same feeling, after the words so far
+     *
+     * steps are { result, feedback } for each earlier word, oldest first,
+     * where feedback is closer, different, obscure or english.
+     */
+    async refineWord(userInput, steps) {
+        const data = await this.request(userInput, {
+            refinements: steps.map(({ result, feedback }) => ({
+                word: result.word,
+                origin: result.origin,
+                definition: result.definition,
+                feedback
+            }))
+        });
+        return this.toResult(data.result);
+    },
+
+    /**
+     * POST to the find-word function and return its JSON payload
      */
-    async findWord(userInput) {
+    async request(userInput, options = {}, onField) {
         try {
             // Call our serverless function instead of OpenRouter directly
             // This keeps the API key secure on the server
@@ -363,17 +2197,32 @@ const API = {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    emotionText: `User's feeling: "${userInput}"\n\nFind the perfect word. Respond with JSON only.`
+                    // Just the feeling; the server owns the prompt around it
+                    emotionText: userInput,
+                    ...options
                 })
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `Request failed: ${response.status}`);
+                const error = new Error(errorData.error || `Request failed: ${response.status}`);
+                error.status = response.status;
+
+                // 429s say how long to wait before asking again
+                const retryAfter = Number(response.headers.get('Retry-After') || errorData.retryAfter);
+                if (retryAfter > 0) {
+                    error.retryAfter = retryAfter;
+                }
+                throw error;
+            }
+
+            // The server answers with JSON whenever it doesn't stream
+            const contentType = response.headers.get('Content-Type') || '';
+            if (contentType.includes('text/event-stream') && response.body) {
+                return await this.readStream(response, onField);
             }
 
-            const data = await response.json();
-            return this.parseResponse(data);
+            return await response.json();
 
         } catch (error) {
             console.error('API Error:', error);
@@ -382,182 +2231,336 @@ const API = {
     },
 
     /**
-     * Parse the API response
+     * Read find-word's server-sent events until the final result arrives
      */
-    parseResponse(data) {
+    async readStream(response, onField) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const streamError = (message) => {
+            const error = new Error(message);
+            error.isStreamError = true;
+            return error;
+        };
+
         try {
-            // OpenRouter returns chat completion format
-            let text = '';
-            if (data.choices && data.choices[0]?.message?.content) {
-                text = data.choices[0].message.content;
-            } else if (Array.isArray(data) && data[0]?.generated_text) {
-                text = data[0].generated_text;
-            } else if (typeof data === 'string') {
-                text = data;
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                for (const raw of events) {
+                    const nameLine = raw.match(/^event: (.*)$/m);
+                    const dataLine = raw.match(/^data: (.*)$/m);
+                    if (!nameLine || !dataLine) continue;
+
+                    const data = JSON.parse(dataLine[1]);
+                    if (nameLine[1] === 'field' && onField) {
+                        onField(data.name, data.value);
+                    } else if (nameLine[1] === 'result') {
+                        return data;
+                    } else if (nameLine[1] === 'error') {
+                        throw new Error(data.error);
+                    }
+                }
             }
+        } catch (error) {
+            // Server-reported errors are final; anything else means the stream broke
+            if (error instanceof SyntaxError || error instanceof TypeError) {
+                throw streamError(error.message);
+            }
+            throw error;
+        }
 
-            console.log('API Response text:', text);
+        throw streamError('Stream ended before a result arrived');
+    },
 
-            // Extract JSON from response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('Could not parse response');
-            }
+    /**
+     * Turn a word from the function's { result, meta } payload into a result entry
+     */
+    toResult(result) {
+        // The server has already parsed and validated the model output
+        if (!result || !result.word) {
+            throw new Error('Unable to find a word. Please try describing your feeling differently.');
+        }
 
-            // Try to fix common JSON issues before parsing
-            let jsonStr = jsonMatch[0];
+        return {
+            ...result,
+            timestamp: new Date().toISOString()
+        };
+    }
+};
 
-            // Try parsing, if it fails try to extract fields manually
-            let parsed;
-            try {
-                parsed = JSON.parse(jsonStr);
-            } catch (e) {
-                // Manual extraction fallback for malformed JSON
-                console.log('JSON parse failed, attempting manual extraction');
-                const wordMatch = text.match(/"word"\s*:\s*"([^"]+)"/);
-                const pronMatch = text.match(/"pronunciation"\s*:\s*"([^"]+)"/);
-                const originMatch = text.match(/"origin"\s*:\s*"([^"]+)"/);
-                const defMatch = text.match(/"definition"\s*:\s*"([^"]*?)(?:"|$)/);
-
-                if (wordMatch) {
-                    parsed = {
-                        word: wordMatch[1],
-                        pronunciation: pronMatch ? pronMatch[1] : '',
-                        origin: originMatch ? originMatch[1] : 'Unknown',
-                        definition: defMatch ? defMatch[1] : 'A beautiful word that captures your feeling.'
-                    };
-                } else {
-                    throw new Error('Could not extract word from response');
-                }
-            }
+// ============================================
+// OFFLINE MODULE
+// ============================================
+const Offline = {
+    registration: null,
 
-            // Validate required fields
-            if (!parsed.word || !parsed.definition) {
-                throw new Error('Invalid response format');
-            }
+    /**
+     * Register the service worker that keeps the app and archive working offline
+     */
+    async register() {
+        if (!('serviceWorker' in navigator)) return;
 
-            return {
-                word: parsed.word,
-                pronunciation: parsed.pronunciation || '',
-                origin: parsed.origin || 'Unknown origin',
-                definition: parsed.definition,
-                timestamp: new Date().toISOString()
-            };
+        try {
+            this.registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    },
+
+    /**
+     * Check the service worker can look up queued feelings in a background sync
+     */
+    canSync() {
+        return Boolean(this.registration && 'sync' in this.registration);
+    },
+
+    /**
+     * Check the browser can keep a queue of lookups (it lives in IndexedDB)
+     */
+    canQueue() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Check a lookup failed because the server couldn't be reached at all
+     */
+    isNetworkError(error) {
+        return !error.status && (navigator.onLine === false || error instanceof TypeError);
+    },
+
+    /**
+     * Queue a feeling and ask for a background sync to look it up
+     *
+     * Without background sync the page looks it up itself when the
+     * browser says it's back online.
+     */
+    async queue(query) {
+        await LookupQueue.add(query);
+        if (!this.canSync()) return;
+
+        try {
+            await this.registration.sync.register(LookupQueue.SYNC_TAG);
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    },
+
+    /**
+     * Look up queued feelings from the page, for browsers without background sync
+     */
+    async flush() {
+        try {
+            await LookupQueue.flush();
+        } catch (error) {
+            console.warn('Queued lookups will be retried:', error);
+        }
+    }
+};
+
+// ============================================
+// SPEECH MODULE
+// ============================================
+const Speech = {
+    // A little slower than normal, so an unfamiliar word can be followed
+    RATE: 0.85,
+
+    /**
+     * Check the browser can speak
+     */
+    canSpeak() {
+        return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+    },
+
+    /**
+     * Get the installed voices, waiting briefly for browsers that load them lazily
+     */
+    loadVoices() {
+        if (!this.canSpeak()) return Promise.resolve([]);
+
+        const voices = speechSynthesis.getVoices();
+        if (voices.length > 0) return Promise.resolve(voices);
+
+        return new Promise(resolve => {
+            const done = () => resolve(speechSynthesis.getVoices());
+            speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+            setTimeout(done, 1000);
+        });
+    },
+
+    /**
+     * Find a voice for a BCP-47 tag: one for exactly that tag, else any for its language
+     */
+    voiceFor(voices, lang) {
+        if (!lang) return null;
+
+        const tag = (voice) => voice.lang.replace(/_/g, '-').toLowerCase();
+        const wanted = lang.toLowerCase();
+        const language = wanted.split('-')[0];
+        return voices.find(voice => tag(voice) === wanted)
+            || voices.find(voice => tag(voice).split('-')[0] === language)
+            || null;
+    },
 
-        } catch (error) {
-            console.error('Parse error:', error);
-            throw new Error('Unable to find a word. Please try describing your feeling differently.');
+    /**
+     * Speak a result's word in a voice for its language
+     *
+     * The native script, when the word has one, is what that voice reads
+     * best. With no voice for the language, the default voice reads the
+     * respelling instead, which is written for English speakers. Resolves
+     * when speaking ends.
+     */
+    async speak(result) {
+        // Words archived before language tags were asked for go by their origin's name
+        const lang = result.lang || (typeof Lexicon !== 'undefined' ? Lexicon.languageTag(result.origin) : '');
+        const voice = this.voiceFor(await this.loadVoices(), lang);
+
+        const native = result.native || (result.word.match(/\(([^)]+)\)/) || [])[1];
+        const text = voice
+            ? (native || result.word.replace(/\([^)]*\)/g, '')).trim()
+            : result.pronunciation || result.word;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = this.RATE;
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
         }
+
+        // Only one word at a time
+        speechSynthesis.cancel();
+        return new Promise(resolve => {
+            utterance.onend = resolve;
+            utterance.onerror = resolve;
+            speechSynthesis.speak(utterance);
+        });
     },
+
+    /**
+     * Stop speaking
+     */
+    stop() {
+        if (this.canSpeak()) {
+            speechSynthesis.cancel();
+        }
+    }
 };
 
 // ============================================
 // SHARE MODULE
 // ============================================
 const Share = {
+    // Compose pages for each social target, given the post's text and link
+    TARGETS: {
+        x: (text, url) => 'https://twitter.com/intent/tweet' +
+            `?text=${encodeURIComponent(`${text}\n\n#AWordForThis`)}&url=${encodeURIComponent(url)}`,
+        bluesky: (text, url) => `https://bsky.app/intent/compose?text=${encodeURIComponent(`${text}\n\n${url}`)}`,
+        threads: (text, url) => `https://www.threads.net/intent/post?text=${encodeURIComponent(`${text}\n\n${url}`)}`,
+        whatsapp: (text, url) => `https://wa.me/?text=${encodeURIComponent(`${text}\n\n${url}`)}`,
+        mastodon: (text, url, instance) => `https://${instance}/share?text=${encodeURIComponent(`${text}\n\n${url}`)}`
+    },
+
     /**
-     * Generate shareable image from result
-     */
-    generateImage(result) {
-        const canvas = UI.elements.canvas;
-        const ctx = canvas.getContext('2d');
-        const { WIDTH, HEIGHT, PADDING, BACKGROUND, TEXT_COLOR } = Config.CANVAS;
-
-        // Set canvas dimensions
-        canvas.width = WIDTH;
-        canvas.height = HEIGHT;
-
-        // Background
-        ctx.fillStyle = BACKGROUND;
-        ctx.fillRect(0, 0, WIDTH, HEIGHT);
-
-        // Border
-        ctx.strokeStyle = TEXT_COLOR;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(PADDING / 2, PADDING / 2, WIDTH - PADDING, HEIGHT - PADDING);
-
-        // Double border effect (newspaper style)
-        ctx.lineWidth = 1;
-        ctx.strokeRect(PADDING / 2 + 4, PADDING / 2 + 4, WIDTH - PADDING - 8, HEIGHT - PADDING - 8);
-
-        // Header - "A Word for This"
-        ctx.fillStyle = TEXT_COLOR;
-        ctx.font = '24px Georgia, serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('A Word for This', WIDTH / 2, PADDING + 30);
-
-        // Header underline
-        ctx.beginPath();
-        ctx.moveTo(PADDING + 100, PADDING + 45);
-        ctx.lineTo(WIDTH - PADDING - 100, PADDING + 45);
-        ctx.stroke();
-
-        // Word (large)
-        ctx.font = 'bold 64px Georgia, serif';
-        ctx.fillText(result.word, WIDTH / 2, HEIGHT / 2 - 40);
-
-        // Pronunciation
-        if (result.pronunciation) {
-            ctx.font = 'italic 18px Arial, sans-serif';
-            ctx.fillStyle = '#4A4A4A';
-            ctx.fillText(`/${result.pronunciation}/`, WIDTH / 2, HEIGHT / 2);
-        }
-
-        // Origin
-        ctx.font = 'italic 16px Georgia, serif';
-        ctx.fillStyle = TEXT_COLOR;
-        ctx.fillText(result.origin, WIDTH / 2, HEIGHT / 2 + 35);
-
-        // Definition (word-wrapped)
-        ctx.font = '16px Georgia, serif';
-        const maxWidth = WIDTH - PADDING * 2 - 40;
-        const lines = this.wrapText(ctx, result.definition, maxWidth);
-        const lineHeight = 24;
-        const startY = HEIGHT / 2 + 80;
-
-        lines.forEach((line, index) => {
-            ctx.fillText(line, WIDTH / 2, startY + (index * lineHeight));
-        });
+     * Which of the browser's sharing features are available
+     */
+    capabilities() {
+        return {
+            nativeShare: typeof navigator.share === 'function',
+            copyImage: Boolean(navigator.clipboard && navigator.clipboard.write && window.ClipboardItem)
+        };
+    },
 
-        // Footer date
-        const date = new Date().toLocaleDateString('en-US', {
-            month: 'long',
-            day: 'numeric',
-            year: 'numeric'
-        });
-        ctx.font = '12px Arial, sans-serif';
-        ctx.fillStyle = '#4A4A4A';
-        ctx.fillText(date, WIDTH / 2, HEIGHT - PADDING);
+    /**
+     * The word as plain text, for posts and the clipboard
+     */
+    textFor(result) {
+        const pronunciation = result.pronunciation ? ` /${result.pronunciation}/` : '';
+        return `${result.word}${pronunciation} (${result.origin})\n${result.definition}`;
+    },
+
+    /**
+     * Compose page for a social target, or null if there's no such target
+     */
+    targetUrl(target, result, instance) {
+        const compose = this.TARGETS[target];
+        if (!compose) return null;
+        return compose(this.textFor(result), Permalink.shareUrlFor(result), instance);
+    },
+
+    /**
+     * Tidy a Mastodon server typed as a URL or handle down to its host name, or null
+     *
+     * "https://mastodon.social/home" and "@me@mastodon.social" both give "mastodon.social".
+     */
+    normalizeInstance(value) {
+        const host = String(value).trim().toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^@?[^@]*@/, '');
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+    },
 
-        // Download
-        this.downloadImage(canvas, result.word);
+    /**
+     * Draw a result's clipping onto a new canvas
+     */
+    clippingCanvas(result, options) {
+        const canvas = document.createElement('canvas');
+        this.drawClipping(canvas, result, options);
+        return canvas;
     },
 
     /**
-     * Wrap text for canvas rendering
+     * Render a result's clipping as a PNG file, or null if the browser can't
      */
-    wrapText(ctx, text, maxWidth) {
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
+    async clippingFile(result, options) {
+        const canvas = this.clippingCanvas(result, options);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) return null;
 
-        words.forEach(word => {
-            const testLine = currentLine + (currentLine ? ' ' : '') + word;
-            const metrics = ctx.measureText(testLine);
+        const sanitizedWord = result.word.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
+        return new File([blob], `a-word-for-this-${sanitizedWord}.png`, { type: 'image/png' });
+    },
 
-            if (metrics.width > maxWidth && currentLine) {
-                lines.push(currentLine);
-                currentLine = word;
-            } else {
-                currentLine = testLine;
-            }
-        });
+    /**
+     * Open the device's share sheet, with the clipping attached where it's allowed
+     *
+     * Resolves false if the person closed the share sheet without sharing.
+     */
+    async shareNative(result, file) {
+        const data = {
+            title: `${result.word}: A Word for This`,
+            text: this.textFor(result),
+            url: Permalink.shareUrlFor(result)
+        };
+        if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+            data.files = [file];
+        }
 
-        if (currentLine) {
-            lines.push(currentLine);
+        try {
+            await navigator.share(data);
+            return true;
+        } catch (err) {
+            if (err.name === 'AbortError') return false;
+            throw err;
         }
+    },
 
-        return lines;
+    /**
+     * Draw a result's clipping onto a canvas in the chosen theme and size
+     */
+    drawClipping(canvas, result, { theme, size }) {
+        const date = new Date().toLocaleDateString('en-US', {
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        Clipping.draw(canvas, result, { theme, size, footer: date });
     },
 
     /**
@@ -573,73 +2576,16 @@ const Share = {
     },
 
     /**
-     * Generate shareable image for social media (with attribution)
+     * Copy text (or a link) to the clipboard
      */
-    generateImageForShare(result) {
-        const canvas = UI.elements.canvas;
-        const ctx = canvas.getContext('2d');
-        const { WIDTH, HEIGHT, PADDING, BACKGROUND, TEXT_COLOR } = Config.CANVAS;
-
-        // Set canvas dimensions
-        canvas.width = WIDTH;
-        canvas.height = HEIGHT;
-
-        // Background
-        ctx.fillStyle = BACKGROUND;
-        ctx.fillRect(0, 0, WIDTH, HEIGHT);
-
-        // Border
-        ctx.strokeStyle = TEXT_COLOR;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(PADDING / 2, PADDING / 2, WIDTH - PADDING, HEIGHT - PADDING);
-
-        // Double border effect (newspaper style)
-        ctx.lineWidth = 1;
-        ctx.strokeRect(PADDING / 2 + 4, PADDING / 2 + 4, WIDTH - PADDING - 8, HEIGHT - PADDING - 8);
-
-        // Header - "A Word for This"
-        ctx.fillStyle = TEXT_COLOR;
-        ctx.font = '24px Georgia, serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('A Word for This', WIDTH / 2, PADDING + 30);
-
-        // Header underline
-        ctx.beginPath();
-        ctx.moveTo(PADDING + 100, PADDING + 45);
-        ctx.lineTo(WIDTH - PADDING - 100, PADDING + 45);
-        ctx.stroke();
-
-        // Word (large)
-        ctx.font = 'bold 64px Georgia, serif';
-        ctx.fillText(result.word, WIDTH / 2, HEIGHT / 2 - 40);
-
-        // Pronunciation
-        if (result.pronunciation) {
-            ctx.font = 'italic 18px Arial, sans-serif';
-            ctx.fillStyle = '#4A4A4A';
-            ctx.fillText(`/${result.pronunciation}/`, WIDTH / 2, HEIGHT / 2);
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (err) {
+            console.error('Text copy failed:', err);
+            return false;
         }
-
-        // Origin
-        ctx.font = 'italic 16px Georgia, serif';
-        ctx.fillStyle = TEXT_COLOR;
-        ctx.fillText(result.origin, WIDTH / 2, HEIGHT / 2 + 35);
-
-        // Definition (word-wrapped)
-        ctx.font = '16px Georgia, serif';
-        const maxWidth = WIDTH - PADDING * 2 - 40;
-        const lines = this.wrapText(ctx, result.definition, maxWidth);
-        const lineHeight = 24;
-        const startY = HEIGHT / 2 + 80;
-
-        lines.forEach((line, index) => {
-            ctx.fillText(line, WIDTH / 2, startY + (index * lineHeight));
-        });
-
-        // Footer - Powered by attribution (instead of date)
-        ctx.font = '12px Arial, sans-serif';
-        ctx.fillStyle = '#4A4A4A';
-        ctx.fillText('Powered by A Word For This', WIDTH / 2, HEIGHT - PADDING);
     },
 
     /**
@@ -647,7 +2593,8 @@ const Share = {
      */
     async copyImageToClipboard(canvas) {
         try {
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            // Safari only allows the write if the image is handed over still drawing
+            const blob = new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
             await navigator.clipboard.write([
                 new ClipboardItem({ 'image/png': blob })
             ]);
@@ -663,6 +2610,8 @@ const Share = {
 // EVENT HANDLERS
 // ============================================
 const Handlers = {
+    archiveSearchTimer: null,
+
     /**
      * Handle form submission
      */
@@ -675,9 +2624,19 @@ const Handlers = {
         State.setLoading(true);
 
         try {
-            const result = await API.findWord(input);
+            // Compare mode: let the user pick before anything is saved
+            if (UI.elements.compareToggle.checked) {
+                const candidates = await API.findCandidates(input);
+                State.setCandidates(candidates, input);
+                return;
+            }
+
+            const result = await API.findWord(input, (name, value) => {
+                UI.renderResultField(name, value);
+            });
             console.log('Parsed result:', result);
             State.setResult(result);
+            State.startConversation(input);
             console.log('Result displayed');
             State.addToHistory({
                 ...result,
@@ -685,12 +2644,98 @@ const Handlers = {
             });
         } catch (error) {
             console.error('Handler error:', error);
-            State.setError(error);
+
+            // Never reached the server: look the feeling up once the connection is back
+            const fallback = API.findOffline(input, error);
+            const queued = Offline.canQueue() && Offline.isNetworkError(error) &&
+                await State.queueLookup(input, Boolean(fallback));
+
+            // Network or model down: the offline lexicon may still know a word. A queued
+            // feeling is saved with the word it gets online, so the lexicon's only stands in
+            if (fallback) {
+                State.setResult(fallback);
+                State.startConversation(input);
+                if (!queued) {
+                    State.addToHistory({
+                        ...fallback,
+                        query: input
+                    });
+                }
+                return;
+            }
+
+            if (queued) {
+                UI.resetToInput();
+            } else {
+                State.setError(error);
+            }
         } finally {
             State.setLoading(false);
         }
     },
 
+    /**
+     * Handle picking one of the ranked candidates
+     */
+    handleChooseCandidate(index) {
+        const candidate = State.candidates[index];
+        if (!candidate) return;
+
+        // Ranking details only matter while choosing
+        const { fit, note, ...result } = candidate;
+
+        State.setResult(result);
+        State.startConversation(State.candidatesQuery);
+        State.addToHistory({
+            ...result,
+            query: State.candidatesQuery
+        });
+    },
+
+    /**
+     * Handle a refine button: ask again with feedback on the word shown
+     */
+    async handleRefine(event) {
+        const button = event.target.closest('[data-refine]');
+        const conversation = State.conversation;
+        if (!button || !conversation || State.isRefining) return;
+
+        const steps = State.refinementSteps(button.dataset.refine);
+        State.setRefining(true);
+        try {
+            const result = await API.refineWord(conversation.query, steps);
+
+            // The user may have moved on while it was on its way
+            if (State.conversation !== conversation) return;
+
+            State.addRefinement(steps, result);
+            State.addToHistory({
+                ...result,
+                query: conversation.query
+            });
+        } catch (error) {
+            console.error('Refine error:', error);
+            if (State.conversation === conversation) {
+                UI.renderRefineStatus(error.status === 429
+                    ? 'You\'ve asked for a lot of words in a short time. Try again shortly.'
+                    : 'Couldn\'t find another word. Please try again.');
+            }
+        } finally {
+            State.setRefining(false);
+        }
+    },
+
+    /**
+     * Handle a word in the refine trail: go back to it
+     */
+    handleRefineTrailClick(event) {
+        const button = event.target.closest('[data-step]');
+        const conversation = State.conversation;
+        if (!button || !conversation || State.isRefining) return;
+
+        State.setConversation({ ...conversation, index: Number(button.dataset.step) });
+    },
+
     /**
      * Handle input changes
      */
@@ -704,30 +2749,200 @@ const Handlers = {
      */
     handleShare() {
         if (State.currentResult) {
-            Share.generateImage(State.currentResult);
+            State.toggleClipping();
+        }
+    },
+
+    /**
+     * Handle a change of clipping style or size
+     */
+    handleClippingOptionChange() {
+        State.setClippingOptions({
+            theme: UI.elements.clippingTheme.value,
+            size: UI.elements.clippingSize.value
+        });
+    },
+
+    /**
+     * Handle clipping download button click
+     */
+    handleClippingDownload() {
+        if (State.currentResult) {
+            Share.downloadImage(UI.elements.clippingPreview, State.currentResult.word);
+        }
+    },
+
+    /**
+     * Handle share button click
+     */
+    handleShareSheetToggle() {
+        if (State.currentResult) {
+            State.toggleShareSheet();
+        }
+    },
+
+    /**
+     * Handle "Share via…" click: the device's own share sheet
+     */
+    async handleNativeShare() {
+        if (!State.currentResult) return;
+
+        try {
+            const shared = await Share.shareNative(State.currentResult, State.shareFile);
+            if (shared) {
+                UI.renderShareStatus('Shared.');
+            }
+        } catch (error) {
+            console.error('Native share failed:', error);
+            UI.renderShareStatus('Your device couldn\'t share this. Try one of the options below.');
+        }
+    },
+
+    /**
+     * Handle copy image button click
+     */
+    async handleCopyImage() {
+        if (!State.currentResult) return;
+
+        const canvas = Share.clippingCanvas(State.currentResult, State.clippingOptions);
+        const copied = await Share.copyImageToClipboard(canvas);
+        UI.renderShareStatus(copied
+            ? 'Image copied.'
+            : 'Couldn\'t copy the image. Try Save as Clipping instead.');
+    },
+
+    /**
+     * Handle copy text button click
+     */
+    async handleCopyText() {
+        if (State.currentResult) {
+            await Handlers.copyOrPrompt(Share.textFor(State.currentResult), 'Text copied.');
+        }
+    },
+
+    /**
+     * Handle copy link button click
+     */
+    async handleCopyLink() {
+        if (State.currentResult) {
+            await Handlers.copyOrPrompt(Permalink.shareUrlFor(State.currentResult), 'Link copied.');
+        }
+    },
+
+    /**
+     * Copy text, or show it for copying by hand where the clipboard is off limits
+     */
+    async copyOrPrompt(text, message) {
+        if (await Share.copyText(text)) {
+            UI.renderShareStatus(message);
+        } else {
+            window.prompt('Copy this:', text);
         }
     },
 
     /**
-     * Handle share to X button click
+     * Handle clicks on the X, Bluesky, Threads and WhatsApp buttons
+     */
+    handleShareTargetClick(event) {
+        const button = event.target.closest('[data-target]');
+        if (!button || !State.currentResult) return;
+
+        Handlers.openShareTarget(Share.targetUrl(button.dataset.target, State.currentResult));
+    },
+
+    /**
+     * Handle the Mastodon form: share to the server the user typed
      */
-    handleShareX() {
+    handleMastodonShare(event) {
+        event.preventDefault();
         if (!State.currentResult) return;
 
+        const instance = Share.normalizeInstance(UI.elements.mastodonInstance.value);
+        if (!instance) {
+            UI.renderShareStatus('Enter your Mastodon server, like mastodon.social.');
+            UI.elements.mastodonInstance.focus();
+            return;
+        }
+
+        State.setMastodonInstance(instance);
+        UI.elements.mastodonInstance.value = instance;
+        Handlers.openShareTarget(Share.targetUrl('mastodon', State.currentResult, instance));
+    },
+
+    /**
+     * Open a compose page in a new tab, offering the link if pop-ups are blocked
+     */
+    openShareTarget(url) {
+        // Not 'noopener': with it, window.open returns null even when the tab opens
+        const opened = window.open(url, '_blank');
+        if (opened) {
+            opened.opener = null;
+            UI.renderShareStatus('');
+        } else {
+            UI.renderShareStatus('Your browser blocked the new tab.', url);
+        }
+    },
+
+    /**
+     * Show the word in the link when one is opened, or pasted into this tab
+     */
+    handleLocation() {
+        const shared = Permalink.fromLocation();
+        if (shared) {
+            State.setSharedResult(shared);
+        }
+    },
+
+    /**
+     * Handle the play button: speak the word, or stop if it's already speaking
+     */
+    async handleSpeak() {
+        if (UI.elements.speakBtn.getAttribute('aria-pressed') === 'true') {
+            Speech.stop();
+            return;
+        }
+
         const result = State.currentResult;
+        if (!result) return;
+
+        UI.renderSpeaking(true);
+        try {
+            await Speech.speak(result);
+        } catch (error) {
+            console.error('Speech failed:', error);
+        } finally {
+            UI.renderSpeaking(false);
+        }
+    },
 
-        // Create tweet text with word details
-        const tweetText = `${result.word} (${result.origin})\n${result.definition}\n\n#AWordForThis`;
+    /**
+     * Handle the connection coming back
+     */
+    async handleOnline() {
+        if (!Offline.canQueue()) return;
+
+        if (!Offline.canSync()) {
+            await Offline.flush();
+        }
+        await State.collectQueuedLookups();
+    },
 
-        // Open X with pre-filled text
-        const tweetUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(tweetText)}`;
-        window.open(tweetUrl, '_blank', 'noopener,noreferrer');
+    /**
+     * Handle a message from the service worker
+     */
+    handleWorkerMessage(event) {
+        if (event.data && event.data.type === 'lookups-settled') {
+            State.collectQueuedLookups();
+        }
     },
 
     /**
-     * Handle new search button click
+     * Handle new search button click (also "Find Your Own Word")
      */
     handleNewSearch() {
+        Speech.stop();
+        State.endConversation();
+        Permalink.clear();
         UI.resetToInput();
         rotatePlaceholder();
     },
@@ -747,6 +2962,148 @@ const Handlers = {
         State.toggleArchive();
     },
 
+    /**
+     * Handle journal toggle
+     */
+    handleJournalToggle() {
+        State.toggleJournal();
+    },
+
+    /**
+     * Handle a click on a calendar day
+     */
+    handleCalendarClick(event) {
+        const day = event.target.closest('[data-day]');
+        if (day) {
+            State.selectJournalDay(day.dataset.day);
+        }
+    },
+
+    /**
+     * Handle a click on a word in the journal timeline
+     */
+    handleTimelineClick(event) {
+        const word = event.target.closest('[data-moment]');
+        const moment = word && UI.journalMoments[word.dataset.moment];
+        if (moment) {
+            State.setResult(moment.entry);
+        }
+    },
+
+    /**
+     * Handle a click anywhere in the archive list
+     */
+    handleArchiveItemClick(event) {
+        const item = event.target.closest('.archive-item');
+        if (!item) return;
+
+        const entry = UI.archiveEntries[item.dataset.index];
+        if (!entry) return;
+
+        const action = event.target.closest('[data-action]');
+        if (action && action.dataset.action === 'favorite') {
+            State.updateEntry(entry, { favorite: !entry.favorite });
+        } else if (action && action.dataset.action === 'delete') {
+            Handlers.handleDeleteEntry(entry);
+        } else {
+            State.setResult(entry);
+        }
+    },
+
+    /**
+     * Handle removing one word from the archive
+     */
+    handleDeleteEntry(entry) {
+        if (confirm(`Remove "${entry.word}" from your archive?`)) {
+            State.removeEntry(entry);
+        }
+    },
+
+    /**
+     * Handle the favorite, note and tag controls on the word card
+     */
+    handleEntryChange(event) {
+        const entry = State.findEntry(State.currentResult);
+        if (!entry) return;
+
+        const { favoriteBtn, entryNote, entryTags, deleteEntryBtn } = UI.elements;
+        if (event.currentTarget === favoriteBtn) {
+            State.updateEntry(entry, { favorite: !entry.favorite });
+        } else if (event.currentTarget === entryNote) {
+            State.updateEntry(entry, { note: entryNote.value.trim() });
+        } else if (event.currentTarget === entryTags) {
+            State.updateEntry(entry, { tags: entryTags.value.split(',') });
+        } else if (event.currentTarget === deleteEntryBtn) {
+            Handlers.handleDeleteEntry(entry);
+        }
+    },
+
+    /**
+     * Handle typing in the archive search box
+     */
+    handleArchiveSearch(event) {
+        const search = event.target.value;
+
+        // Wait for a pause in typing rather than re-rendering on every key
+        clearTimeout(Handlers.archiveSearchTimer);
+        Handlers.archiveSearchTimer = setTimeout(() => {
+            State.setArchiveFilters({ search });
+        }, 150);
+    },
+
+    /**
+     * Handle a change to the archive's language, date or sort controls
+     */
+    handleArchiveFilterChange() {
+        State.setArchiveFilters({
+            language: UI.elements.archiveLanguage.value,
+            tag: UI.elements.archiveTag.value,
+            favorites: UI.elements.archiveFavorites.checked,
+            from: UI.elements.archiveFrom.value,
+            to: UI.elements.archiveTo.value,
+            sort: UI.elements.archiveSort.value
+        });
+    },
+
+    /**
+     * Handle an export button: format is json, csv or anki
+     */
+    handleExport(format) {
+        const history = State.history;
+        if (history.length === 0) return;
+
+        const exporters = {
+            json: () => Backup.download(Backup.toJSON(history), 'json', 'application/json'),
+            csv: () => Backup.download(Backup.toCSV(history), 'csv', 'text/csv;charset=utf-8'),
+            anki: () => Backup.download(Backup.toAnki(history), 'anki.txt', 'text/plain;charset=utf-8')
+        };
+        exporters[format]();
+    },
+
+    /**
+     * Handle a JSON export chosen for import
+     */
+    async handleImport(event) {
+        const [file] = event.target.files;
+        if (!file) return;
+
+        try {
+            const entries = Backup.parse(await file.text());
+            const { added, merged, skipped } = await State.importHistory(entries);
+            const plural = (n) => `${n} ${n === 1 ? 'word' : 'words'}`;
+            const parts = [`Imported ${plural(added)}`];
+            if (merged > 0) parts.push(`added feelings to ${plural(merged)} you already had`);
+            if (skipped > 0) parts.push(`${skipped} already in your collection`);
+            UI.renderArchiveStatus(`${parts.join('; ')}.`);
+        } catch (error) {
+            console.error('Import failed:', error);
+            UI.renderArchiveStatus(error.message);
+        } finally {
+            // Let the same file be chosen again
+            event.target.value = '';
+        }
+    },
+
     /**
      * Handle clear archive
      */
@@ -842,24 +3199,79 @@ function init() {
     // Initialize UI
     UI.init();
 
-    // Load history
-    State.loadHistory();
+    // Load history, then save anything found for feelings queued while offline
+    State.loadHistory()
+        .then(() => Offline.register())
+        .then(() => navigator.onLine ? Handlers.handleOnline() : State.collectQueuedLookups());
+    State.loadClippingOptions();
+
+    // Some browsers only list their voices once asked
+    Speech.loadVoices();
 
     // Set initial random placeholder
     UI.elements.input.placeholder = Config.PLACEHOLDERS[currentPlaceholderIndex];
 
-    // Initialize tutorial
-    Tutorial.init();
+    // A shared link opens straight onto its word card, without the tutorial
+    const shared = Permalink.fromLocation();
+    if (shared) {
+        State.setSharedResult(shared);
+    } else {
+        Tutorial.init();
+    }
 
     // Bind event listeners
     UI.elements.form.addEventListener('submit', Handlers.handleSubmit);
     UI.elements.input.addEventListener('input', Handlers.handleInput);
     UI.elements.shareBtn.addEventListener('click', Handlers.handleShare);
-    UI.elements.shareXBtn.addEventListener('click', Handlers.handleShareX);
+    UI.elements.speakBtn.addEventListener('click', Handlers.handleSpeak);
+    UI.elements.clippingTheme.addEventListener('change', Handlers.handleClippingOptionChange);
+    UI.elements.clippingSize.addEventListener('change', Handlers.handleClippingOptionChange);
+    UI.elements.clippingDownloadBtn.addEventListener('click', Handlers.handleClippingDownload);
+    UI.elements.clippingCloseBtn.addEventListener('click', Handlers.handleShare);
+    UI.elements.shareSheetBtn.addEventListener('click', Handlers.handleShareSheetToggle);
+    UI.elements.nativeShareBtn.addEventListener('click', Handlers.handleNativeShare);
+    UI.elements.copyImageBtn.addEventListener('click', Handlers.handleCopyImage);
+    UI.elements.copyTextBtn.addEventListener('click', Handlers.handleCopyText);
+    UI.elements.copyLinkBtn.addEventListener('click', Handlers.handleCopyLink);
+    UI.elements.shareTargets.addEventListener('click', Handlers.handleShareTargetClick);
+    UI.elements.mastodonForm.addEventListener('submit', Handlers.handleMastodonShare);
     UI.elements.newSearchBtn.addEventListener('click', Handlers.handleNewSearch);
+    UI.elements.findOwnBtn.addEventListener('click', Handlers.handleNewSearch);
+    UI.elements.refineOptions.addEventListener('click', Handlers.handleRefine);
+    UI.elements.refineTrail.addEventListener('click', Handlers.handleRefineTrailClick);
+    window.addEventListener('hashchange', Handlers.handleLocation);
+    window.addEventListener('online', Handlers.handleOnline);
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', Handlers.handleWorkerMessage);
+    }
+    UI.elements.candidatesNewSearchBtn.addEventListener('click', Handlers.handleNewSearch);
     UI.elements.retryBtn.addEventListener('click', Handlers.handleRetry);
     UI.elements.archiveToggle.addEventListener('click', Handlers.handleArchiveToggle);
     UI.elements.clearArchive.addEventListener('click', Handlers.handleClearArchive);
+    UI.elements.archiveItems.addEventListener('click', Handlers.handleArchiveItemClick);
+    UI.elements.journalToggle.addEventListener('click', Handlers.handleJournalToggle);
+    UI.elements.journalPrev.addEventListener('click', () => State.moveJournalMonth(-1));
+    UI.elements.journalNext.addEventListener('click', () => State.moveJournalMonth(1));
+    UI.elements.journalCalendar.addEventListener('click', Handlers.handleCalendarClick);
+    UI.elements.journalTimeline.addEventListener('click', Handlers.handleTimelineClick);
+    UI.elements.favoriteBtn.addEventListener('click', Handlers.handleEntryChange);
+    UI.elements.entryNote.addEventListener('change', Handlers.handleEntryChange);
+    UI.elements.entryTags.addEventListener('change', Handlers.handleEntryChange);
+    UI.elements.deleteEntryBtn.addEventListener('click', Handlers.handleEntryChange);
+    UI.elements.exportJsonBtn.addEventListener('click', () => Handlers.handleExport('json'));
+    UI.elements.exportCsvBtn.addEventListener('click', () => Handlers.handleExport('csv'));
+    UI.elements.exportAnkiBtn.addEventListener('click', () => Handlers.handleExport('anki'));
+    UI.elements.importBtn.addEventListener('click', () => UI.elements.importFile.click());
+    UI.elements.importFile.addEventListener('change', Handlers.handleImport);
+    UI.elements.archiveSearch.addEventListener('input', Handlers.handleArchiveSearch);
+    [
+        UI.elements.archiveLanguage,
+        UI.elements.archiveTag,
+        UI.elements.archiveFavorites,
+        UI.elements.archiveFrom,
+        UI.elements.archiveTo,
+        UI.elements.archiveSort
+    ].forEach(control => control.addEventListener('change', Handlers.handleArchiveFilterChange));
 
     // Bind tutorial event listeners
     document.getElementById('tutorial-skip').addEventListener('click', () => Tutorial.hide());
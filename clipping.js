@@ -0,0 +1,276 @@
+/**
+ * A Word for This - Clipping Template
+ *
+ * Draws a word card onto a canvas in any of a few styles and sizes.
+ *
+ * Loaded by the browser (as window.Clipping) for "Save as Clipping", and
+ * by the serverless functions (via require) for link preview images, so
+ * both draw the same card.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Clipping = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Colours and borders; border is 'double', 'single' or 'none'
+    const THEMES = {
+        newspaper: {
+            label: 'Newspaper',
+            background: '#F5F5F0',
+            ink: '#000000',
+            muted: '#4A4A4A',
+            border: 'double'
+        },
+        dark: {
+            label: 'Dark',
+            background: '#161616',
+            ink: '#F5F5F0',
+            muted: '#A8A8A0',
+            border: 'single'
+        },
+        minimal: {
+            label: 'Minimal',
+            background: '#FFFFFF',
+            ink: '#1A1A1A',
+            muted: '#8A8A8A',
+            border: 'none'
+        }
+    };
+
+    // Canvas sizes; textScale enlarges text where the card is shown small
+    const SIZES = {
+        clipping: { label: 'Clipping (4:3)', width: 800, height: 600 },
+        square: { label: 'Square (Instagram)', width: 1080, height: 1080 },
+        story: { label: 'Story (9:16)', width: 1080, height: 1920 },
+        link: { label: 'Link preview', width: 1200, height: 630, textScale: 1.3 }
+    };
+
+    const DEFAULT_THEME = 'newspaper';
+    const DEFAULT_SIZE = 'clipping';
+
+    const DEFAULT_FONTS = {
+        serif: 'Georgia, serif',
+        sans: 'Arial, sans-serif'
+    };
+
+    // Shortest the word's font may shrink to, relative to its full size
+    const MIN_WORD_SCALE = 0.55;
+
+    // Most lines the example sentence and etymology may each take
+    const MAX_EXTRA_LINES = 2;
+
+    /**
+     * Look up a theme and size by name, falling back to the defaults
+     */
+    function resolve(themeName, sizeName) {
+        return {
+            theme: THEMES[themeName] || THEMES[DEFAULT_THEME],
+            size: SIZES[sizeName] || SIZES[DEFAULT_SIZE]
+        };
+    }
+
+    /**
+     * Wrap text into lines no wider than maxWidth
+     */
+    function wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let currentLine = '';
+
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const testLine = currentLine + (currentLine ? ' ' : '') + word;
+            if (ctx.measureText(testLine).width > maxWidth && currentLine) {
+                lines.push(currentLine);
+                currentLine = word;
+            } else {
+                currentLine = testLine;
+            }
+        });
+
+        if (currentLine) {
+            lines.push(currentLine);
+        }
+        return lines;
+    }
+
+    /**
+     * Keep at most maxLines lines, ending the last one with an ellipsis if any were dropped
+     */
+    function clampLines(ctx, lines, maxLines, maxWidth) {
+        if (lines.length <= maxLines) {
+            return lines;
+        }
+
+        const kept = lines.slice(0, Math.max(1, maxLines));
+        let last = kept[kept.length - 1];
+        while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+            const space = last.lastIndexOf(' ');
+            last = last.slice(0, space > 0 ? space : -1);
+        }
+        kept[kept.length - 1] = `${last}…`;
+        return kept;
+    }
+
+    /**
+     * Get the origin line: the origin, then the romanization if it isn't just the word again
+     */
+    function originLine(result) {
+        const bareWord = String(result.word).replace(/\([^)]*\)/g, '').trim().toLowerCase();
+        const transliteration = (result.transliteration || '').trim();
+        return transliteration && transliteration.toLowerCase() !== bareWord
+            ? `${result.origin} · ${transliteration}`
+            : result.origin;
+    }
+
+    /**
+     * Set the largest font, down to minSize, at which text fits in maxWidth
+     */
+    function fitFont(ctx, text, style, size, minSize, family, maxWidth) {
+        let fontSize = size;
+        ctx.font = `${style} ${fontSize}px ${family}`;
+        while (ctx.measureText(text).width > maxWidth && fontSize > minSize) {
+            fontSize = Math.max(minSize, fontSize - 2);
+            ctx.font = `${style} ${fontSize}px ${family}`;
+        }
+        return fontSize;
+    }
+
+    /**
+     * Draw a result onto a canvas, resizing the canvas to fit
+     *
+     * options: theme and size (names from THEMES and SIZES), footer text,
+     * and fonts ({ serif, sans } CSS font families) where Georgia and Arial
+     * aren't installed.
+     */
+    function draw(canvas, result, options = {}) {
+        const { theme, size } = resolve(options.theme, options.size);
+        const fonts = { ...DEFAULT_FONTS, ...options.fonts };
+        const { width: WIDTH, height: HEIGHT } = size;
+
+        if (canvas.width !== WIDTH) canvas.width = WIDTH;
+        if (canvas.height !== HEIGHT) canvas.height = HEIGHT;
+        const ctx = canvas.getContext('2d');
+
+        // Everything is laid out for the 800x600 clipping, then scaled
+        const scale = Math.min(WIDTH, HEIGHT) / 600;
+        const text = scale * (size.textScale || 1);
+        const PADDING = 60 * scale;
+        const maxWidth = WIDTH - PADDING * 2 - 40 * scale;
+
+        // Background
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+        // Border, doubled for the newspaper look
+        ctx.strokeStyle = theme.ink;
+        if (theme.border !== 'none') {
+            ctx.lineWidth = 2 * scale;
+            ctx.strokeRect(PADDING / 2, PADDING / 2, WIDTH - PADDING, HEIGHT - PADDING);
+        }
+        if (theme.border === 'double') {
+            ctx.lineWidth = 1 * scale;
+            const inset = PADDING / 2 + 4 * scale;
+            ctx.strokeRect(inset, inset, WIDTH - inset * 2, HEIGHT - inset * 2);
+        }
+
+        // Masthead - "A Word for This"
+        ctx.fillStyle = theme.ink;
+        ctx.font = `${24 * text}px ${fonts.serif}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText('A Word for This', WIDTH / 2, PADDING + 30 * text);
+
+        // Masthead underline
+        const ruleY = PADDING + 45 * text;
+        ctx.lineWidth = 1 * scale;
+        ctx.beginPath();
+        ctx.moveTo(WIDTH / 2 - 200 * text, ruleY);
+        ctx.lineTo(WIDTH / 2 + 200 * text, ruleY);
+        ctx.stroke();
+
+        // Word (large), shrunk to fit if it's long and squeezed if that isn't enough
+        const wordSize = fitFont(ctx, result.word, 'bold', 64 * text, 64 * text * MIN_WORD_SCALE, fonts.serif, maxWidth);
+
+        // The rest sits below the word, at these distances from its baseline
+        const pronunciationY = 40 * text;
+        const originY = result.pronunciation ? 75 * text : 40 * text;
+        const definitionY = originY + 45 * text;
+        const lineHeight = 24 * text;
+        const extraGap = 18 * text;
+        const extraLineHeight = 20 * text;
+
+        // Fit the definition between the masthead and footer, then centre the block
+        const top = ruleY + 30 * text;
+        const bottom = HEIGHT - PADDING - 30 * text;
+        const wordHeight = wordSize * 0.75;
+        const maxLines = Math.floor((bottom - top - wordHeight - definitionY) / lineHeight) + 1;
+
+        ctx.font = `${16 * text}px ${fonts.serif}`;
+        const lines = clampLines(ctx, wrapText(ctx, result.definition, maxWidth), maxLines, maxWidth);
+        let blockHeight = wordHeight + definitionY + (lines.length - 1) * lineHeight;
+
+        // The example sentence, then the etymology, follow where there's room left
+        const extras = [
+            { content: result.example && `“${result.example}”`, font: `italic ${15 * text}px ${fonts.serif}` },
+            { content: result.etymology, font: `${13 * text}px ${fonts.sans}` }
+        ].filter(extra => extra.content).reduce((placed, extra) => {
+            const room = Math.floor((bottom - top - blockHeight - extraGap) / extraLineHeight);
+            if (room < 1) return placed;
+
+            ctx.font = extra.font;
+            const extraLines = clampLines(ctx, wrapText(ctx, extra.content, maxWidth), Math.min(MAX_EXTRA_LINES, room), maxWidth);
+            const y = blockHeight - wordHeight + extraGap + extraLineHeight;
+            blockHeight += extraGap + extraLines.length * extraLineHeight;
+            return [...placed, { ...extra, lines: extraLines, y }];
+        }, []);
+
+        const wordY = top + Math.max(0, (bottom - top - blockHeight) / 2) + wordHeight;
+
+        ctx.font = `bold ${wordSize}px ${fonts.serif}`;
+        ctx.fillText(result.word, WIDTH / 2, wordY, maxWidth);
+
+        // Pronunciation
+        if (result.pronunciation) {
+            ctx.font = `italic ${18 * text}px ${fonts.sans}`;
+            ctx.fillStyle = theme.muted;
+            ctx.fillText(`/${result.pronunciation}/`, WIDTH / 2, wordY + pronunciationY, maxWidth);
+        }
+
+        // Origin
+        ctx.font = `italic ${16 * text}px ${fonts.serif}`;
+        ctx.fillStyle = theme.ink;
+        ctx.fillText(originLine(result), WIDTH / 2, wordY + originY, maxWidth);
+
+        // Definition (word-wrapped)
+        ctx.font = `${16 * text}px ${fonts.serif}`;
+        lines.forEach((line, index) => {
+            ctx.fillText(line, WIDTH / 2, wordY + definitionY + index * lineHeight, maxWidth);
+        });
+
+        // Example and etymology, quieter than the definition
+        ctx.fillStyle = theme.muted;
+        extras.forEach(extra => {
+            ctx.font = extra.font;
+            extra.lines.forEach((line, index) => {
+                ctx.fillText(line, WIDTH / 2, wordY + extra.y + index * extraLineHeight, maxWidth);
+            });
+        });
+
+        // Footer
+        if (options.footer) {
+            ctx.font = `${12 * text}px ${fonts.sans}`;
+            ctx.fillStyle = theme.muted;
+            ctx.fillText(options.footer, WIDTH / 2, HEIGHT - PADDING);
+        }
+    }
+
+    return {
+        THEMES,
+        SIZES,
+        DEFAULT_THEME,
+        DEFAULT_SIZE,
+        resolve,
+        draw
+    };
+}));
@@ -0,0 +1,531 @@
+/**
+ * A Word for This - Lexicon
+ *
+ * A small curated dataset of emotion words that other languages
+ * name and English mostly doesn't, plus a keyword search over it.
+ *
+ * Loaded by the browser (as window.Lexicon) for offline answers, and
+ * by the serverless functions (via require) as a fallback and check.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Lexicon = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Each entry: word (Latin script), native script, pronunciation,
+    // language, definition and tags describing the feeling
+    const ENTRIES = [
+        {
+            word: 'Saudade',
+            native: 'Saudade',
+            pronunciation: 'sow-DAH-djee',
+            language: 'Portuguese',
+            definition: 'A deep, tender longing for something or someone absent, knowing it may never return.',
+            tags: ['longing', 'nostalgia', 'absence', 'missing', 'love', 'loss', 'melancholy', 'memory', 'bittersweet']
+        },
+        {
+            word: 'Hiraeth',
+            native: 'Hiraeth',
+            pronunciation: 'HEER-eyeth',
+            language: 'Welsh',
+            definition: 'A homesickness for a home you cannot return to, or that perhaps never was.',
+            tags: ['homesickness', 'home', 'longing', 'nostalgia', 'past', 'grief', 'returning', 'belonging']
+        },
+        {
+            word: 'Komorebi',
+            native: '木漏れ日',
+            pronunciation: 'koh-moh-REH-bee',
+            language: 'Japanese',
+            definition: 'Sunlight filtering through the leaves of trees, and the quiet calm it brings.',
+            tags: ['sunlight', 'light', 'trees', 'forest', 'nature', 'calm', 'peace', 'quiet']
+        },
+        {
+            word: 'Mono no aware',
+            native: '物の哀れ',
+            pronunciation: 'MOH-noh noh ah-WAH-reh',
+            language: 'Japanese',
+            definition: 'A gentle sadness at the passing of things, and the beauty found in their impermanence.',
+            tags: ['impermanence', 'transience', 'fleeting', 'bittersweet', 'sadness', 'beauty', 'ending', 'passing']
+        },
+        {
+            word: 'Toska',
+            native: 'тоска',
+            pronunciation: 'TOHS-kah',
+            language: 'Russian',
+            definition: 'A spiritual anguish without any particular cause; a dull ache of the soul.',
+            tags: ['anguish', 'ache', 'longing', 'yearning', 'melancholy', 'boredom', 'emptiness', 'restless']
+        },
+        {
+            word: 'Hygge',
+            native: 'Hygge',
+            pronunciation: 'HOO-gah',
+            language: 'Danish',
+            definition: 'The warm contentment of simple comforts shared: candlelight, blankets, good company.',
+            tags: ['cozy', 'comfort', 'warmth', 'contentment', 'home', 'friends', 'candle', 'winter', 'satisfaction']
+        },
+        {
+            word: 'Fernweh',
+            native: 'Fernweh',
+            pronunciation: 'FERN-vay',
+            language: 'German',
+            definition: 'An ache for faraway places you have never been; homesickness for the unknown.',
+            tags: ['wanderlust', 'travel', 'distance', 'longing', 'adventure', 'restless', 'faraway', 'elsewhere']
+        },
+        {
+            word: 'Wabi-sabi',
+            native: '侘寂',
+            pronunciation: 'WAH-bee SAH-bee',
+            language: 'Japanese',
+            definition: 'Finding beauty in imperfection, incompleteness and the marks that time leaves behind.',
+            tags: ['imperfection', 'acceptance', 'beauty', 'transience', 'simplicity', 'age', 'flaws']
+        },
+        {
+            word: 'Schadenfreude',
+            native: 'Schadenfreude',
+            pronunciation: 'SHAH-den-froy-deh',
+            language: 'German',
+            definition: 'The guilty pleasure of watching someone else\'s misfortune.',
+            tags: ['pleasure', 'misfortune', 'others', 'glee', 'envy', 'guilty', 'rival']
+        },
+        {
+            word: 'Lítost',
+            native: 'Lítost',
+            pronunciation: 'LEE-tost',
+            language: 'Czech',
+            definition: 'The torment of suddenly seeing your own misery laid bare, often followed by the wish to wound back.',
+            tags: ['torment', 'misery', 'humiliation', 'regret', 'shame', 'self-pity', 'revenge']
+        },
+        {
+            word: 'Ya\'aburnee',
+            native: 'يقبرني',
+            pronunciation: 'yah-ah-BOOR-nee',
+            language: 'Arabic',
+            definition: '"May you bury me": loving someone so much you hope to die before them rather than live without them.',
+            tags: ['love', 'devotion', 'death', 'fear', 'loss', 'attachment', 'beloved']
+        },
+        {
+            word: 'Mamihlapinatapai',
+            native: 'Mamihlapinatapai',
+            pronunciation: 'mah-mee-lah-pee-nah-TAH-pie',
+            language: 'Yaghan',
+            definition: 'A look shared by two people who each wish the other would make the first move.',
+            tags: ['look', 'glance', 'unspoken', 'desire', 'hesitation', 'mutual', 'shy', 'waiting']
+        },
+        {
+            word: 'Gezelligheid',
+            native: 'Gezelligheid',
+            pronunciation: 'heh-ZEL-ikh-hide',
+            language: 'Dutch',
+            definition: 'The warm, unhurried feeling of being together with people you like, in a place that feels right.',
+            tags: ['cozy', 'togetherness', 'belonging', 'warmth', 'friends', 'company', 'conviviality']
+        },
+        {
+            word: 'Natsukashii',
+            native: '懐かしい',
+            pronunciation: 'nah-tsoo-KAH-shee',
+            language: 'Japanese',
+            definition: 'A fond, happy nostalgia when something suddenly brings back a cherished memory.',
+            tags: ['nostalgia', 'memory', 'fondness', 'past', 'happy', 'childhood', 'remembering']
+        },
+        {
+            word: 'Han',
+            native: '한',
+            pronunciation: 'hahn',
+            language: 'Korean',
+            definition: 'A deep, collective sorrow and resentment carried quietly over time, mixed with endurance and hope.',
+            tags: ['grief', 'sorrow', 'resentment', 'injustice', 'endurance', 'collective', 'unresolved']
+        },
+        {
+            word: 'Jeong',
+            native: '정',
+            pronunciation: 'jung',
+            language: 'Korean',
+            definition: 'The slow-grown affection and attachment that binds people through shared time, even without liking.',
+            tags: ['affection', 'attachment', 'bond', 'love', 'connection', 'loyalty', 'family']
+        },
+        {
+            word: 'Sehnsucht',
+            native: 'Sehnsucht',
+            pronunciation: 'ZANE-zookht',
+            language: 'German',
+            definition: 'An intense yearning for something far off and undefined; the sense that life is incomplete.',
+            tags: ['yearning', 'longing', 'desire', 'incomplete', 'ideal', 'unreachable']
+        },
+        {
+            word: 'Weltschmerz',
+            native: 'Weltschmerz',
+            pronunciation: 'VELT-shmairts',
+            language: 'German',
+            definition: 'The weary sadness of knowing the world can never be what it ought to be.',
+            tags: ['world-weariness', 'sadness', 'despair', 'disappointment', 'reality', 'tired', 'weary']
+        },
+        {
+            word: 'Kummerspeck',
+            native: 'Kummerspeck',
+            pronunciation: 'KOOM-er-shpek',
+            language: 'German',
+            definition: '"Grief bacon": the weight gained from eating your feelings.',
+            tags: ['grief', 'eating', 'comfort', 'sadness', 'heartbreak', 'weight']
+        },
+        {
+            word: 'Iktsuarpok',
+            native: 'ᐃᒃᑦᓱᐊᕐᐳᒃ',
+            pronunciation: 'eet-SOO-ar-pok',
+            language: 'Inuktitut',
+            definition: 'The restless anticipation of waiting for someone, going outside again and again to see if they have come.',
+            tags: ['anticipation', 'waiting', 'impatience', 'arrival', 'expecting', 'restless']
+        },
+        {
+            word: 'Tsundoku',
+            native: '積ん読',
+            pronunciation: 'tsoon-DOH-koo',
+            language: 'Japanese',
+            definition: 'Buying books and letting them pile up unread.',
+            tags: ['books', 'reading', 'unread', 'pile', 'guilt', 'intention']
+        },
+        {
+            word: 'Koi no yokan',
+            native: '恋の予感',
+            pronunciation: 'koy noh YOH-kahn',
+            language: 'Japanese',
+            definition: 'The feeling on first meeting someone that you will inevitably fall in love.',
+            tags: ['love', 'premonition', 'meeting', 'attraction', 'future', 'destiny', 'crush']
+        },
+        {
+            word: 'Ubuntu',
+            native: 'Ubuntu',
+            pronunciation: 'oo-BOON-too',
+            language: 'Zulu',
+            definition: 'I am because we are: the sense that our humanity is bound up in one another.',
+            tags: ['humanity', 'community', 'belonging', 'connection', 'kindness', 'together', 'stranger']
+        },
+        {
+            word: 'Duende',
+            native: 'Duende',
+            pronunciation: 'DWEN-deh',
+            language: 'Spanish',
+            definition: 'The mysterious power of art to deeply move a person, raw and close to death.',
+            tags: ['passion', 'art', 'music', 'soul', 'intensity', 'awe', 'moved']
+        },
+        {
+            word: 'Sobremesa',
+            native: 'Sobremesa',
+            pronunciation: 'soh-breh-MEH-sah',
+            language: 'Spanish',
+            definition: 'The unhurried time after a meal, lingering at the table in conversation.',
+            tags: ['conversation', 'meal', 'friends', 'lingering', 'table', 'togetherness', 'contentment']
+        },
+        {
+            word: 'Torschlusspanik',
+            native: 'Torschlusspanik',
+            pronunciation: 'TOR-shloos-pah-nik',
+            language: 'German',
+            definition: '"Gate-closing panic": the fear that time is running out to seize life\'s chances.',
+            tags: ['panic', 'time', 'aging', 'opportunity', 'anxiety', 'late', 'pressure']
+        },
+        {
+            word: 'Forelsket',
+            native: 'Forelsket',
+            pronunciation: 'for-ELS-ket',
+            language: 'Norwegian',
+            definition: 'The euphoria of beginning to fall in love.',
+            tags: ['euphoria', 'love', 'falling', 'infatuation', 'joy', 'giddy', 'crush']
+        },
+        {
+            word: 'Dépaysement',
+            native: 'Dépaysement',
+            pronunciation: 'day-pay-eez-MAHN',
+            language: 'French',
+            definition: 'The disorientation of being somewhere foreign, where nothing is quite familiar.',
+            tags: ['disorientation', 'foreign', 'travel', 'displacement', 'strange', 'unfamiliar', 'alone']
+        },
+        {
+            word: 'L\'appel du vide',
+            native: 'L\'appel du vide',
+            pronunciation: 'lah-PEL dew VEED',
+            language: 'French',
+            definition: '"The call of the void": the sudden, unwanted urge to leap when standing at a height.',
+            tags: ['urge', 'void', 'impulse', 'heights', 'intrusive', 'edge', 'fear']
+        },
+        {
+            word: 'Meraki',
+            native: 'μεράκι',
+            pronunciation: 'meh-RAH-kee',
+            language: 'Greek',
+            definition: 'Doing something with soul, creativity and love, leaving a piece of yourself in the work.',
+            tags: ['passion', 'creativity', 'love', 'soul', 'work', 'devotion', 'craft']
+        },
+        {
+            word: 'Hüzün',
+            native: 'Hüzün',
+            pronunciation: 'hew-ZEWN',
+            language: 'Turkish',
+            definition: 'A shared, wistful melancholy for what has been lost, worn like a quiet atmosphere.',
+            tags: ['melancholy', 'sadness', 'collective', 'loss', 'city', 'wistful', 'spiritual']
+        },
+        {
+            word: 'Gigil',
+            native: 'Gigil',
+            pronunciation: 'GEE-gil',
+            language: 'Tagalog',
+            definition: 'The overwhelming urge to pinch or squeeze something unbearably cute.',
+            tags: ['cute', 'squeeze', 'overwhelming', 'affection', 'urge', 'adorable']
+        },
+        {
+            word: 'Kilig',
+            native: 'Kilig',
+            pronunciation: 'KEE-lig',
+            language: 'Tagalog',
+            definition: 'The giddy rush of butterflies when something romantic happens.',
+            tags: ['butterflies', 'romance', 'thrill', 'giddy', 'crush', 'love', 'excitement']
+        },
+        {
+            word: 'Yūgen',
+            native: '幽玄',
+            pronunciation: 'YOO-gen',
+            language: 'Japanese',
+            definition: 'A profound, mysterious sense of the beauty of the universe, too deep for words.',
+            tags: ['mystery', 'awe', 'depth', 'universe', 'beauty', 'profound', 'wonder', 'stars']
+        },
+        {
+            word: 'Petrichor',
+            native: 'Petrichor',
+            pronunciation: 'PET-ri-kor',
+            language: 'English',
+            definition: 'The earthy smell of rain falling on dry ground.',
+            tags: ['rain', 'smell', 'earth', 'relief', 'nature', 'storm']
+        },
+        {
+            word: 'Gökotta',
+            native: 'Gökotta',
+            pronunciation: 'YUH-kot-ah',
+            language: 'Swedish',
+            definition: 'Waking early to go outside and hear the first birds sing.',
+            tags: ['dawn', 'morning', 'birds', 'nature', 'peace', 'early', 'quiet']
+        },
+        {
+            word: 'Ikigai',
+            native: '生き甲斐',
+            pronunciation: 'ee-kee-GUY',
+            language: 'Japanese',
+            definition: 'The reason you get up in the morning; the thing that makes life worth living.',
+            tags: ['purpose', 'meaning', 'reason', 'fulfillment', 'life', 'motivation']
+        },
+        {
+            word: 'Acedia',
+            native: 'Acedia',
+            pronunciation: 'ah-SEE-dee-ah',
+            language: 'Latin',
+            definition: 'A listless, spiritual apathy; not caring, and not caring that you don\'t care.',
+            tags: ['apathy', 'listless', 'indifference', 'boredom', 'numb', 'spiritual', 'unmotivated']
+        },
+        {
+            word: 'Morkkis',
+            native: 'Morkkis',
+            pronunciation: 'MORK-kis',
+            language: 'Finnish',
+            definition: 'The moral hangover: waking up mortified by what you said or did the night before.',
+            tags: ['hangover', 'shame', 'regret', 'embarrassment', 'morning', 'cringe']
+        },
+        {
+            word: 'Vorfreude',
+            native: 'Vorfreude',
+            pronunciation: 'FOR-froy-deh',
+            language: 'German',
+            definition: 'The joyful anticipation of imagining pleasures still to come.',
+            tags: ['anticipation', 'joy', 'excitement', 'future', 'looking forward', 'waiting']
+        },
+        {
+            word: 'Awumbuk',
+            native: 'Awumbuk',
+            pronunciation: 'ah-WOOM-book',
+            language: 'Baining',
+            definition: 'The heavy, empty stillness that settles after guests have gone.',
+            tags: ['emptiness', 'guests', 'departure', 'leaving', 'heaviness', 'quiet', 'alone', 'ending']
+        },
+        {
+            word: 'Fremdschämen',
+            native: 'Fremdschämen',
+            pronunciation: 'FREMD-shay-men',
+            language: 'German',
+            definition: 'Embarrassment felt on someone else\'s behalf.',
+            tags: ['embarrassment', 'vicarious', 'cringe', 'others', 'awkward', 'shame']
+        },
+        {
+            word: 'Resfeber',
+            native: 'Resfeber',
+            pronunciation: 'RAYS-fay-ber',
+            language: 'Swedish',
+            definition: 'The restless race of the heart before a journey, where nerves and excitement meet.',
+            tags: ['travel', 'journey', 'nerves', 'anticipation', 'anxiety', 'excitement']
+        },
+        {
+            word: 'Sonder',
+            native: 'Sonder',
+            pronunciation: 'SON-der',
+            language: 'English (coined)',
+            definition: 'The realization that every passerby lives a life as vivid and complex as your own.',
+            tags: ['strangers', 'passerby', 'realization', 'crowd', 'others', 'lives', 'connection', 'stranger']
+        }
+    ];
+
+    // BCP-47 tags for the languages above (and a few more models often
+    // name), so a word can be spoken in the right voice
+    const LANGUAGE_TAGS = {
+        arabic: 'ar',
+        baining: 'byx',
+        chinese: 'zh',
+        czech: 'cs',
+        danish: 'da',
+        dutch: 'nl',
+        english: 'en',
+        finnish: 'fi',
+        french: 'fr',
+        german: 'de',
+        greek: 'el',
+        hawaiian: 'haw',
+        hebrew: 'he',
+        hindi: 'hi',
+        hungarian: 'hu',
+        icelandic: 'is',
+        indonesian: 'id',
+        inuktitut: 'iu',
+        irish: 'ga',
+        italian: 'it',
+        japanese: 'ja',
+        korean: 'ko',
+        latin: 'la',
+        norwegian: 'no',
+        persian: 'fa',
+        polish: 'pl',
+        portuguese: 'pt',
+        russian: 'ru',
+        sanskrit: 'sa',
+        spanish: 'es',
+        swedish: 'sv',
+        tagalog: 'tl',
+        turkish: 'tr',
+        ukrainian: 'uk',
+        urdu: 'ur',
+        welsh: 'cy',
+        yaghan: 'yag',
+        yiddish: 'yi',
+        zulu: 'zu'
+    };
+
+    // Common words that say nothing about the feeling itself
+    const STOPWORDS = new Set([
+        'the', 'and', 'that', 'this', 'with', 'when', 'what', 'you', 'your', 'for',
+        'from', 'feeling', 'feel', 'like', 'just', 'about', 'into', 'but', 'are',
+        'was', 'were', 'have', 'has', 'its', 'something', 'someone', 'moment',
+        'after', 'before', 'then', 'than', 'there', 'their', 'they', 'them', 'can',
+        'could', 'would', 'will', 'one', 'all', 'not', 'very', 'really', 'how',
+        'through', 'over', 'again', 'still', 'even', 'some', 'get', 'got'
+    ]);
+
+    /**
+     * Reduce a word to a rough stem so "longing" meets "longs"
+     */
+    function stem(word) {
+        return word.length > 5
+            ? word.replace(/(?:ing|ness|ful|ed|ly|es|s)$/, '')
+            : word;
+    }
+
+    /**
+     * Split text into stemmed keywords
+     */
+    function tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .split(/[^\p{L}'-]+/u)
+            .filter(word => word.length > 2 && !STOPWORDS.has(word))
+            .map(stem);
+    }
+
+    // Search terms for each entry, built once
+    const INDEX = ENTRIES.map(entry => ({
+        entry,
+        tags: new Set(entry.tags.flatMap(tokenize)),
+        definition: new Set(tokenize(entry.definition))
+    }));
+
+    /**
+     * Find entries matching a description, best first
+     *
+     * Tag matches count three times as much as words in the definition.
+     */
+    function search(text, options = {}) {
+        const limit = options.limit || 3;
+        const terms = new Set(tokenize(text));
+
+        return INDEX
+            .map(({ entry, tags, definition }) => {
+                let score = 0;
+                terms.forEach(term => {
+                    if (tags.has(term)) score += 3;
+                    if (definition.has(term)) score += 1;
+                });
+                return { entry, score };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ entry, score }) => ({ ...entry, score }));
+    }
+
+    /**
+     * Look up an entry by its word or native spelling, ignoring case and accents
+     */
+    function lookup(word) {
+        const fold = (str) => String(str)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+        const target = fold(word);
+        return ENTRIES.find(entry => fold(entry.word) === target || fold(entry.native) === target) || null;
+    }
+
+    /**
+     * Find the BCP-47 tag for a language name like "Japanese" or
+     * "English (coined)", or return '' if it isn't known
+     */
+    function languageTag(name) {
+        const words = String(name || '')
+            .replace(/\([^)]*\)/g, '')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(Boolean);
+
+        // "Brazilian Portuguese" is Portuguese; the language comes last
+        const known = words.reverse().find(word => LANGUAGE_TAGS[word]);
+        return known ? LANGUAGE_TAGS[known] : '';
+    }
+
+    /**
+     * Turn an entry into the word result shape the app displays
+     */
+    function toResult(entry) {
+        const hasScript = entry.native && entry.native !== entry.word;
+        return {
+            word: hasScript ? `${entry.word} (${entry.native})` : entry.word,
+            native: hasScript ? entry.native : '',
+            pronunciation: entry.pronunciation,
+            lang: languageTag(entry.language),
+            origin: entry.language,
+            definition: entry.definition,
+            source: 'lexicon'
+        };
+    }
+
+    return {
+        entries: ENTRIES,
+        search,
+        lookup,
+        languageTag,
+        toResult
+    };
+}));
@@ -0,0 +1,50 @@
+/**
+ * Netlify Serverless Function
+ * Renders a shared word's card as a PNG, for link previews
+ *
+ * GET /.netlify/functions/card-image?w=<permalink payload>[&theme=<name>][&size=<name>]
+ *
+ * theme and size are names from clipping.js; size defaults to the link preview.
+ */
+
+const CardLink = require('../../permalink');
+const { renderCard } = require('../lib/card');
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const params = event.queryStringParameters || {};
+    const card = CardLink.decode(params.w);
+    if (!card) {
+        return {
+            statusCode: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Invalid word link' })
+        };
+    }
+
+    try {
+        const png = renderCard(card, { theme: params.theme, size: params.size });
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'image/png',
+                // The payload is the whole card, so the same link always draws the same image
+                'Cache-Control': 'public, max-age=31536000, immutable'
+            },
+            body: png.toString('base64'),
+            isBase64Encoded: true
+        };
+    } catch (error) {
+        console.error('Card render error:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to render card' })
+        };
+    }
+};
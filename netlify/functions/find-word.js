@@ -1,12 +1,246 @@
 /**
  * Netlify Serverless Function
- * Securely handles OpenRouter API calls
+ * Securely handles LLM API calls (OpenRouter by default)
  *
  * This keeps your API key safe by running on the server,
  * not in the user's browser where it could be seen.
  */
 
-exports.handler = async (event, context) => {
+const { Readable } = require('stream');
+const { createProvider } = require('../lib/providers');
+const { buildCacheKey, createCache } = require('../lib/cache');
+const { getClientIp, createRateLimiter } = require('../lib/rate-limit');
+const { neutralizeFeeling } = require('../lib/prompt-guard');
+const { RETRY_PROMPT, listRefinements, renderPrompt } = require('../lib/prompts');
+const { verifyEntry } = require('../lib/verification');
+const Lexicon = require('../../lexicon');
+const {
+    SCHEMA_VERSION,
+    MalformedOutputError,
+    getCompletionText,
+    validateEntry,
+    parseWordEntry,
+    parseCandidates,
+    createFieldExtractor
+} = require('../lib/word-entry');
+
+// One retry when the model returns something we can't parse
+const MAX_ATTEMPTS = 2;
+
+// n-candidates mode: how many ranked words a client may ask for
+const MAX_CANDIDATES = 5;
+
+// Refinements: how many earlier words a follow-up may send back
+const MAX_REFINEMENTS = 4;
+
+// Fields of an earlier word sent back with a refinement
+const REFINEMENT_FIELDS = ['word', 'origin', 'definition'];
+
+// Input limits, enforced here because the client's maxlength is easy to bypass
+const MAX_BODY_BYTES = 8192;
+const MAX_EMOTION_TEXT_LENGTH = 200;
+
+// Created on first use and kept for as long as this instance stays warm
+let cache = null;
+let rateLimiter = null;
+
+/**
+ * Get the shared response cache
+ */
+function getCache() {
+    if (!cache) {
+        cache = createCache();
+    }
+    return cache;
+}
+
+/**
+ * Get the shared per-IP rate limiter
+ */
+function getRateLimiter() {
+    if (!rateLimiter) {
+        rateLimiter = createRateLimiter();
+    }
+    return rateLimiter;
+}
+
+/**
+ * Get a parsed answer from the model, asking once more if the output is malformed
+ *
+ * Pass firstText when the first answer was already received (e.g. streamed).
+ */
+async function completeWithRetry(provider, messages, parse, options, firstText = null) {
+    let text = firstText;
+
+    for (let attempts = 1; ; attempts++) {
+        if (text === null) {
+            text = getCompletionText(await provider.complete(messages, options));
+        }
+
+        try {
+            return { parsed: parse(text), attempts };
+        } catch (error) {
+            if (!(error instanceof MalformedOutputError) || attempts >= MAX_ATTEMPTS) {
+                throw error;
+            }
+            console.warn(`Malformed model output (attempt ${attempts}):`, error.message);
+
+            messages.push(
+                { role: 'assistant', content: text },
+                { role: 'user', content: RETRY_PROMPT }
+            );
+            text = null;
+        }
+    }
+}
+
+/**
+ * Check the earlier words and feedback sent to refine a word
+ *
+ * The words come from the client, so they get the feeling's treatment:
+ * cleaned by the prompt guard, then held to the rules for a model's answer.
+ * Returns them as { previous, feedback } for renderPrompt, or null if any
+ * isn't valid or looks like an attempt to instruct the model.
+ */
+function parseRefinements(refinements) {
+    if (refinements === undefined) {
+        return [];
+    }
+    if (!Array.isArray(refinements) || refinements.length > MAX_REFINEMENTS) {
+        return null;
+    }
+
+    const feedbackKinds = listRefinements('find-word');
+    const parsed = refinements.map((item) => {
+        if (!item || typeof item !== 'object' || !feedbackKinds.includes(item.feedback)) {
+            return null;
+        }
+        const cleaned = {};
+        for (const field of REFINEMENT_FIELDS) {
+            if (typeof item[field] !== 'string') {
+                return null;
+            }
+            const { text, flagged } = neutralizeFeeling(item[field]);
+            if (flagged) {
+                return null;
+            }
+            cleaned[field] = text;
+        }
+
+        try {
+            const { word, origin, definition } = validateEntry(cleaned);
+            return { previous: { word, origin, definition }, feedback: item.feedback };
+        } catch (error) {
+            if (error instanceof MalformedOutputError) {
+                return null;
+            }
+            throw error;
+        }
+    });
+    return parsed.includes(null) ? null : parsed;
+}
+
+/**
+ * Answer from the bundled lexicon when the model can't, or return null
+ *
+ * Words in `exclude` were already given and are skipped. Lexicon answers are
+ * never cached, so the model gets another chance next time.
+ */
+function lexiconFallback(feeling, candidateCount, reason, exclude = []) {
+    // Words come back as shown, e.g. "Toska (тоска)"
+    const given = new Set(exclude
+        .map(word => Lexicon.lookup(word.replace(/\s*\(.*\)\s*$/, '')))
+        .filter(Boolean)
+        .map(entry => entry.word));
+    const matches = Lexicon.search(feeling, { limit: candidateCount + given.size })
+        .filter(match => !given.has(match.word))
+        .slice(0, candidateCount);
+    if (matches.length === 0) {
+        return null;
+    }
+
+    const meta = {
+        schemaVersion: SCHEMA_VERSION,
+        source: 'lexicon',
+        reason,
+        cache: 'miss'
+    };
+
+    if (candidateCount > 1) {
+        const candidates = matches.map(match => ({
+            ...Lexicon.toResult(match),
+            fit: Math.min(100, match.score * 10),
+            note: 'From the offline lexicon'
+        }));
+        return { result: candidates[0], candidates, meta };
+    }
+    return { result: Lexicon.toResult(matches[0]), meta };
+}
+
+/**
+ * Format one server-sent event
+ */
+function sseEvent(name, data) {
+    return `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Stream a single word as server-sent events
+ *
+ * Emits a `field` event as each of word, pronunciation, ipa, lang, origin and
+ * definition arrives, then one `result` event with the { result, meta } payload from
+ * buildPayload, or an `error` event. onResult receives the payload before it's sent.
+ * When the model fails, fallback(error) may supply a payload to send instead.
+ */
+async function* streamWord(provider, messages, options, buildPayload, onResult, fallback) {
+    try {
+        const extractor = createFieldExtractor();
+        let text = '';
+
+        for await (const delta of provider.stream(messages, options)) {
+            text += delta;
+            for (const field of extractor.push(delta)) {
+                yield sseEvent('field', field);
+            }
+        }
+
+        const { parsed, attempts } = await completeWithRetry(provider, messages, parseWordEntry, options, text);
+        const payload = buildPayload(parsed, attempts);
+        await onResult(payload);
+        yield sseEvent('result', { ...payload, meta: { ...payload.meta, cache: 'miss' } });
+
+    } catch (error) {
+        console.error('Stream error:', error);
+
+        const fallbackPayload = fallback(error);
+        if (fallbackPayload) {
+            yield sseEvent('result', fallbackPayload);
+            return;
+        }
+
+        yield sseEvent('error', {
+            error: error instanceof MalformedOutputError
+                ? 'Unable to find a word. Please try describing your feeling differently.'
+                : 'Failed to process request'
+        });
+    }
+}
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, payload, headers = {}) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(payload)
+    };
+}
+
+const handler = async (event, context) => {
     // Only allow POST requests
     if (event.httpMethod !== 'POST') {
         return {
@@ -16,76 +250,178 @@ exports.handler = async (event, context) => {
     }
 
     try {
+        // Every request spends a token from the caller's bucket
+        const limit = getRateLimiter().take(getClientIp(event));
+        if (!limit.allowed) {
+            return jsonResponse(429, {
+                error: 'Too many requests. Please wait a moment and try again.',
+                retryAfter: limit.retryAfterSeconds
+            }, { 'Retry-After': String(limit.retryAfterSeconds) });
+        }
+
+        if (event.body && Buffer.byteLength(event.body) > MAX_BODY_BYTES) {
+            return jsonResponse(413, { error: 'Request is too large' });
+        }
+
+        // A missing or malformed body is the caller's mistake, not ours
+        let body;
+        try {
+            body = JSON.parse(event.body);
+        } catch (error) {
+            body = null;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return jsonResponse(400, { error: 'Request body must be a JSON object' });
+        }
+
         // Get the user's emotion text from the request
-        const { emotionText } = JSON.parse(event.body);
+        const {
+            emotionText,
+            candidates: candidateCount = 1,
+            stream: wantsStream = false,
+            refinements: rawRefinements
+        } = body;
 
-        if (!emotionText) {
+        if (!emotionText || typeof emotionText !== 'string') {
             return {
                 statusCode: 400,
                 body: JSON.stringify({ error: 'Missing emotion text' })
             };
         }
 
-        // API configuration
-        const API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-        const API_KEY = process.env.OPENROUTER_API_KEY; // Stored securely in Netlify
-        const MODEL = 'mistralai/mixtral-8x7b-instruct';
+        if (emotionText.length > MAX_EMOTION_TEXT_LENGTH) {
+            return jsonResponse(413, { error: 'Emotion text is too long' });
+        }
 
-        const SYSTEM_PROMPT = `You are a linguistic expert and poet. When given a description of an emotion or feeling, find the single best word in any language that captures it perfectly.
+        // Only the feeling itself reaches the model, cleaned and wrapped in our template
+        const { text: feeling, flagged } = neutralizeFeeling(emotionText);
+        if (flagged) {
+            console.warn('Removed instruction-like content from emotion text');
+        }
+        if (!feeling) {
+            return jsonResponse(400, { error: 'Please describe a feeling' });
+        }
 
-Respond in this exact JSON format only, with no additional text:
-{
-    "word": "the word",
-    "pronunciation": "phonetic pronunciation",
-    "origin": "language of origin",
-    "definition": "a poetic, precise definition of the word"
-}
+        if (!Number.isInteger(candidateCount) || candidateCount < 1 || candidateCount > MAX_CANDIDATES) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: `candidates must be a whole number from 1 to ${MAX_CANDIDATES}` })
+            };
+        }
 
-Be poetic yet precise. Prefer obscure, beautiful words from any language. If the word is not English, include the original script if applicable.`;
-
-        // Make the API call to OpenRouter
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${API_KEY}`,
-                'HTTP-Referer': 'https://awordforthis.netlify.app',
-                'X-Title': 'A Word for This'
-            },
-            body: JSON.stringify({
-                model: MODEL,
-                messages: [
-                    {
-                        role: 'system',
-                        content: SYSTEM_PROMPT
-                    },
-                    {
-                        role: 'user',
-                        content: emotionText
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 500
-            })
-        });
+        // Refining asks again, after the earlier words and what the user said about them
+        const refinements = parseRefinements(rawRefinements);
+        if (!refinements) {
+            return jsonResponse(400, {
+                error: `refinements must be up to ${MAX_REFINEMENTS} earlier words, each with feedback: ${listRefinements('find-word').join(', ')}`
+            });
+        }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('OpenRouter API error:', errorText);
-            throw new Error(`API request failed: ${response.status}`);
+        const isCandidatesMode = candidateCount > 1;
+        if (isCandidatesMode && refinements.length > 0) {
+            return jsonResponse(400, { error: 'Only single words can be refined' });
         }
 
-        const data = await response.json();
+        const parse = isCandidatesMode ? parseCandidates : parseWordEntry;
 
-        // Return the result to the frontend
-        return {
-            statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(data)
+        // Provider, model and sampling settings come from the environment
+        const provider = createProvider();
+
+        // Prompts live in one versioned module; the version travels with the result
+        const prompt = isCandidatesMode
+            ? renderPrompt('find-candidates', feeling, { count: candidateCount })
+            : renderPrompt('find-word', feeling, {}, refinements);
+        const messages = prompt.messages;
+
+        // Identical and near-identical feelings share one answer
+        const cacheKey = buildCacheKey({
+            text: feeling,
+            provider: provider.name,
+            model: provider.model,
+            promptVersion: prompt.id,
+            variant: `candidates:${candidateCount}|refinements:${JSON.stringify(refinements)}`
+        });
+        const cached = await getCache().get(cacheKey);
+        if (cached) {
+            return jsonResponse(200, { ...cached, meta: { ...cached.meta, cache: 'hit' } }, { 'X-Cache': 'HIT' });
+        }
+        const saveToCache = (payload) => getCache().set(cacheKey, payload);
+
+        // Each candidate needs roughly the room of a single answer
+        const options = { maxTokens: provider.maxTokens * candidateCount };
+
+        // Stamp the prompt version on every word, so archived words remember it,
+        // along with whether the lexicon could confirm the word exists.
+        // A missing language tag is worked out from the origin's name.
+        const buildPayload = (parsed, attempts) => {
+            const stamp = (entry) => ({
+                ...entry,
+                lang: entry.lang || Lexicon.languageTag(entry.origin),
+                promptVersion: prompt.id,
+                verification: verifyEntry(entry)
+            });
+            const meta = {
+                schemaVersion: SCHEMA_VERSION,
+                source: 'model',
+                provider: provider.name,
+                model: provider.model,
+                prompt: prompt.id,
+                attempts
+            };
+
+            // Candidates mode also returns the best match as `result`
+            if (isCandidatesMode) {
+                const candidates = parsed.slice(0, candidateCount).map(stamp);
+                return { result: candidates[0], candidates, meta };
+            }
+            return { result: stamp(parsed), meta };
         };
 
+        // If the model is down or keeps answering nonsense, the lexicon may still know a word
+        const fallback = (error) => lexiconFallback(
+            feeling,
+            candidateCount,
+            error instanceof MalformedOutputError ? 'malformed-output' : 'model-unavailable',
+            refinements.map(({ previous }) => previous.word)
+        );
+
+        // Streaming is only offered for single words; candidates come back as JSON
+        if (wantsStream && !isCandidatesMode) {
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'X-Cache': 'MISS'
+                },
+                body: Readable.from(streamWord(provider, messages, options, buildPayload, saveToCache, fallback))
+            };
+        }
+
+        let parsed;
+        let attempts;
+        try {
+            ({ parsed, attempts } = await completeWithRetry(provider, messages, parse, options));
+        } catch (error) {
+            const fallbackPayload = fallback(error);
+            if (fallbackPayload) {
+                console.error('Model failed, answering from the lexicon:', error);
+                return jsonResponse(200, fallbackPayload, { 'X-Cache': 'MISS' });
+            }
+            if (!(error instanceof MalformedOutputError)) {
+                throw error;
+            }
+            return jsonResponse(502, {
+                error: 'Unable to find a word. Please try describing your feeling differently.'
+            });
+        }
+
+        const payload = buildPayload(parsed, attempts);
+        await saveToCache(payload);
+
+        // Return the validated result to the frontend
+        return jsonResponse(200, { ...payload, meta: { ...payload.meta, cache: 'miss' } }, { 'X-Cache': 'MISS' });
+
     } catch (error) {
         console.error('Function error:', error);
         return {
@@ -97,3 +433,10 @@ Be poetic yet precise. Prefer obscure, beautiful words from any language. If the
         };
     }
 };
+
+// Netlify's runtime provides the `awslambda` global needed for streamed bodies;
+// the local server.js pipes stream bodies itself, so it gets the plain handler
+// and runs without @netlify/functions installed
+exports.handler = typeof awslambda === 'undefined'
+    ? handler
+    : require('@netlify/functions').stream(handler);
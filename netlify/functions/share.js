@@ -0,0 +1,126 @@
+/**
+ * Netlify Serverless Function
+ * The page behind a shared word link
+ *
+ * GET /.netlify/functions/share?w=<permalink payload>
+ *
+ * Link previews (X, chat apps, email) read this page's Open Graph and
+ * Twitter tags, which point at the card-image function. People are sent
+ * on to the app, which opens the same word card from /#w=<payload>.
+ */
+
+const CardLink = require('../../permalink');
+const Clipping = require('../../clipping');
+
+// Longest og:description, roughly what previews show before cutting it off
+const DESCRIPTION_LENGTH = 200;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shorten text to about maxLength characters, at a word boundary
+ */
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`;
+}
+
+/**
+ * Build the share page for one word
+ */
+function renderPage(card, urls) {
+    const title = `${card.word}: A Word for This`;
+    // Previews show a line or two of the description; the card image has the rest
+    const description = truncate(`${card.origin}. ${card.definition}`, DESCRIPTION_LENGTH);
+    const e = escapeHtml;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${e(title)}</title>
+    <meta name="description" content="${e(description)}">
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="A Word for This">
+    <meta property="og:title" content="${e(card.word)}">
+    <meta property="og:description" content="${e(description)}">
+    <meta property="og:url" content="${e(urls.page)}">
+    <meta property="og:image" content="${e(urls.image)}">
+    <meta property="og:image:type" content="image/png">
+    <meta property="og:image:width" content="${Clipping.SIZES.link.width}">
+    <meta property="og:image:height" content="${Clipping.SIZES.link.height}">
+    <meta property="og:image:alt" content="${e(`${card.word} (${card.origin}): ${card.definition}`)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${e(card.word)}">
+    <meta name="twitter:description" content="${e(description)}">
+    <meta name="twitter:image" content="${e(urls.image)}">
+    <link rel="stylesheet" href="/style.css">
+    <script>window.location.replace(${JSON.stringify(urls.app).replace(/</g, '\\u003c')});</script>
+</head>
+<body class="showing-result">
+    <main class="container">
+        <section class="result-section">
+            <article class="word-card">
+                <h1 class="result-word">${e(card.word)}</h1>
+                <p class="result-pronunciation">${card.pronunciation ? e(`/${card.pronunciation}/`) : ''}</p>
+                <p class="result-origin">${e(card.origin)}</p>
+                <p class="result-definition">${e(card.definition)}</p>
+            </article>
+            <div class="result-actions">
+                <a class="action-btn" href="${e(urls.app)}">Open in A Word for This</a>
+            </div>
+        </section>
+    </main>
+</body>
+</html>
+`;
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return {
+            statusCode: 405,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const payload = (event.queryStringParameters || {}).w;
+    const card = CardLink.decode(payload);
+    if (!card) {
+        // A broken or edited link still lands somewhere useful
+        return {
+            statusCode: 302,
+            headers: { Location: '/' }
+        };
+    }
+
+    // Previews need absolute URLs, on whichever domain the link was opened
+    const origin = new URL(event.rawUrl).origin;
+    const query = `?w=${payload}`;
+    const urls = {
+        page: `${origin}/.netlify/functions/share${query}`,
+        image: `${origin}/.netlify/functions/card-image${query}`,
+        app: `${origin}/#w=${payload}`
+    };
+
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'public, max-age=86400'
+        },
+        body: renderPage(card, urls)
+    };
+};
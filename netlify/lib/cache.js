@@ -0,0 +1,175 @@
+/**
+ * Response Cache
+ * Remembers find-word answers so repeated feelings don't cost a model call
+ *
+ * Keys fold case, whitespace and punctuation in the user's text and
+ * include the model and prompt version, so changing either starts fresh.
+ *
+ * Configured with environment variables:
+ *   CACHE_STORE        memory (default) or file
+ *   CACHE_FILE         where the file store lives (default .cache/find-word.json)
+ *   CACHE_TTL_SECONDS  how long answers are kept (default 86400, 0 disables)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+    store: 'memory',
+    file: path.join(__dirname, '..', '..', '.cache', 'find-word.json'),
+    ttlSeconds: 24 * 60 * 60
+};
+
+// Keeps a warm function instance from growing without bound
+const MEMORY_MAX_ENTRIES = 500;
+
+/**
+ * Fold text so near-identical queries share a cache entry
+ */
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\p{P}\p{S}]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a cache key from the query and everything that shapes the answer
+ */
+function buildCacheKey({ text, provider, model, promptVersion, variant = '' }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([normalizeText(text), provider, model, promptVersion, variant]))
+        .digest('hex');
+}
+
+/**
+ * In-memory store, shared across requests while a function instance is warm
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+            // Maps iterate in insertion order, so the first key is the oldest
+            if (entries.size > MEMORY_MAX_ENTRIES) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+/**
+ * JSON file store for the local server, so answers survive restarts
+ */
+function createFileStore(filePath) {
+    let entries = null;
+    let writing = Promise.resolve();
+
+    const load = async () => {
+        if (entries) return entries;
+        try {
+            entries = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to read cache file:', error.message);
+            }
+            entries = {};
+        }
+        return entries;
+    };
+
+    const save = () => {
+        // Serialize writes and swap the file in atomically
+        writing = writing.then(async () => {
+            const now = Date.now();
+            Object.keys(entries).forEach(key => {
+                if (entries[key].expiresAt <= now) delete entries[key];
+            });
+
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(entries));
+            await fs.promises.rename(tmpPath, filePath);
+        }).catch(error => {
+            console.error('Failed to write cache file:', error.message);
+        });
+        return writing;
+    };
+
+    return {
+        async get(key) {
+            const all = await load();
+            const entry = all[key];
+            if (!entry || entry.expiresAt <= Date.now()) return null;
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            const all = await load();
+            all[key] = { value, expiresAt: Date.now() + ttlMs };
+            await save();
+        }
+    };
+}
+
+/**
+ * Create the cache selected by the environment
+ */
+function createCache(env = process.env) {
+    const ttlSeconds = env.CACHE_TTL_SECONDS !== undefined && env.CACHE_TTL_SECONDS !== ''
+        ? Number(env.CACHE_TTL_SECONDS)
+        : DEFAULTS.ttlSeconds;
+    const storeName = (env.CACHE_STORE || DEFAULTS.store).toLowerCase();
+
+    if (!Number.isFinite(ttlSeconds) || ttlSeconds < 0) {
+        throw new Error(`Invalid CACHE_TTL_SECONDS: ${env.CACHE_TTL_SECONDS}`);
+    }
+
+    let store;
+    if (storeName === 'memory') {
+        store = createMemoryStore();
+    } else if (storeName === 'file') {
+        store = createFileStore(env.CACHE_FILE || DEFAULTS.file);
+    } else {
+        throw new Error(`Unknown CACHE_STORE: ${storeName}`);
+    }
+
+    const enabled = ttlSeconds > 0;
+
+    return {
+        enabled,
+
+        async get(key) {
+            return enabled ? store.get(key) : null;
+        },
+
+        async set(key, value) {
+            if (enabled) {
+                await store.set(key, value, ttlSeconds * 1000);
+            }
+        }
+    };
+}
+
+module.exports = {
+    normalizeText,
+    buildCacheKey,
+    createCache
+};
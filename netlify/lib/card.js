@@ -0,0 +1,97 @@
+/**
+ * Word Card Renderer
+ * Draws a word's clipping as a PNG on the server
+ *
+ * The layout lives in clipping.js, shared with the browser's
+ * "Save as Clipping". Servers have no Georgia or Arial, so the DejaVu
+ * fonts stand in for them, with Noto fonts behind them for the scripts
+ * DejaVu doesn't cover.
+ */
+
+const path = require('path');
+const { createCanvas, GlobalFonts } = require('@napi-rs/canvas');
+const Clipping = require('../../clipping');
+
+/**
+ * Find a font package's folder of font files
+ */
+function fontDir(packageName, folder) {
+    return path.join(path.dirname(require.resolve(`${packageName}/package.json`)), folder);
+}
+
+const DEJAVU_DIR = fontDir('dejavu-fonts-ttf', 'ttf');
+
+// [folder, file, family]. DejaVu covers Latin, Greek, Cyrillic, Armenian,
+// Georgian, Hebrew and Arabic; Noto adds Chinese and Japanese (SC), Korean,
+// Devanagari and Thai. Noto has no bold here, so it's drawn emboldened.
+const FONT_FILES = [
+    [DEJAVU_DIR, 'DejaVuSerif.ttf', 'DejaVu Serif'],
+    [DEJAVU_DIR, 'DejaVuSerif-Bold.ttf', 'DejaVu Serif'],
+    [DEJAVU_DIR, 'DejaVuSerif-Italic.ttf', 'DejaVu Serif'],
+    [DEJAVU_DIR, 'DejaVuSans.ttf', 'DejaVu Sans'],
+    [DEJAVU_DIR, 'DejaVuSans-Oblique.ttf', 'DejaVu Sans'],
+    [fontDir('@expo-google-fonts/noto-sans-sc', '400Regular'), 'NotoSansSC_400Regular.ttf', 'Noto Sans SC'],
+    [fontDir('@expo-google-fonts/noto-sans-kr', '400Regular'), 'NotoSansKR_400Regular.ttf', 'Noto Sans KR'],
+    [fontDir('@expo-google-fonts/noto-sans-devanagari', '400Regular'), 'NotoSansDevanagari_400Regular.ttf', 'Noto Sans Devanagari'],
+    [fontDir('@expo-google-fonts/noto-sans-thai', '400Regular'), 'NotoSansThai_400Regular.ttf', 'Noto Sans Thai']
+];
+
+// Characters a font lacks are drawn from the next family in the list
+const FALLBACK_FONTS = '"Noto Sans SC", "Noto Sans KR", "Noto Sans Devanagari", "Noto Sans Thai"';
+
+const FONTS = {
+    serif: `"DejaVu Serif", "DejaVu Sans", ${FALLBACK_FONTS}`,
+    sans: `"DejaVu Sans", ${FALLBACK_FONTS}`
+};
+
+// Text the fonts above can draw. A native spelling in any other script is
+// left off the card rather than drawn as boxes.
+const DRAWABLE_TEXT = /^[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{Script=Armenian}\p{Script=Georgian}\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Devanagari}\p{Script=Thai}\p{Script=Common}\p{Script=Inherited}]*$/u;
+
+let fontsRegistered = false;
+
+/**
+ * Register the card's fonts the first time a card is drawn
+ */
+function registerFonts() {
+    if (fontsRegistered) return;
+    FONT_FILES.forEach(([folder, file, family]) => {
+        GlobalFonts.registerFromPath(path.join(folder, file), family);
+    });
+    fontsRegistered = true;
+}
+
+/**
+ * Drop a parenthesized native spelling, e.g. the "(அன்பு)" of "Anbu (அன்பு)",
+ * that the card's fonts can't draw
+ */
+function withDrawableWord(result) {
+    const word = String(result.word || '')
+        .replace(/\s*\(([^)]*)\)/g, (spelling, inner) => (DRAWABLE_TEXT.test(inner) ? spelling : ''))
+        .trim();
+    return word && word !== result.word ? { ...result, word } : result;
+}
+
+/**
+ * Render a word card as a PNG buffer
+ *
+ * theme and size are names from clipping.js; unknown names get the defaults.
+ */
+function renderCard(result, { theme, size = 'link' } = {}) {
+    registerFonts();
+
+    const { size: { width, height } } = Clipping.resolve(theme, size);
+    const canvas = createCanvas(width, height);
+    Clipping.draw(canvas, withDrawableWord(result), {
+        theme,
+        size,
+        fonts: FONTS,
+        footer: 'Powered by A Word For This'
+    });
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    renderCard
+};
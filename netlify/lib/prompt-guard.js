@@ -0,0 +1,56 @@
+/**
+ * Prompt Guard
+ * Keeps the user's text in its place: a description of a feeling, never instructions
+ *
+ * The client sends only the raw feeling. It is cleaned here, then wrapped
+ * by the server-owned templates in prompts.js, which fence it in <feeling>
+ * tags the model is told to treat as data.
+ */
+
+// Chat-template tokens and role markers models might obey
+const CONTROL_PATTERNS = [
+    /<\|[^|>]*\|>/g,
+    /\[\/?(?:INST|SYS)\]/gi,
+    /<<\/?SYS>>/gi,
+    /^\s*(?:system|assistant|user|developer)\s*:/gim,
+    /```/g
+];
+
+// Phrases that try to steer the model rather than describe a feeling.
+// Kept narrow on purpose: "pretend to be fine" is a feeling, not an attack.
+const INSTRUCTION_PATTERNS = [
+    /\b(?:ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,40}?\b(?:instructions?|prompts?|rules?|directions?|guidelines?)\b/gi,
+    /\b(?:new|updated|real)\s+instructions?\b/gi,
+    /\b(?:system|developer)\s+prompt\b/gi,
+    /\bfrom\s+now\s+on,?\s+you\b/gi,
+    /\byou\s+are\s+now\s+(?:a|an)\s+(?:assistant|ai|chatbot|bot|model|language\s+model)\b/gi
+];
+
+/**
+ * Clean the user's text, reporting whether anything instruction-like was removed
+ */
+function neutralizeFeeling(text) {
+    let cleaned = String(text)
+        .normalize('NFKC')
+        // Control characters other than newlines and tabs
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '');
+
+    let flagged = false;
+    [...CONTROL_PATTERNS, ...INSTRUCTION_PATTERNS].forEach(pattern => {
+        cleaned = cleaned.replace(pattern, () => {
+            flagged = true;
+            return ' ';
+        });
+    });
+
+    // Angle brackets can't be used to close the <feeling> fence
+    cleaned = cleaned.replace(/</g, '‹').replace(/>/g, '›');
+
+    cleaned = cleaned.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+
+    return { text: cleaned, flagged };
+}
+
+module.exports = {
+    neutralizeFeeling
+};
@@ -0,0 +1,345 @@
+/**
+ * LLM Provider Backends
+ * Chooses where find-word sends its chat completion requests
+ *
+ * Configured with environment variables:
+ *   LLM_PROVIDER     openrouter (default), openai or mock
+ *   LLM_MODEL        model name passed to the provider
+ *   LLM_TEMPERATURE  sampling temperature (default 0.7)
+ *   LLM_MAX_TOKENS   completion token limit (default 500)
+ *   LLM_BASE_URL     base URL for the openai provider, e.g. http://localhost:11434/v1
+ *   LLM_API_KEY      optional bearer token for the openai provider
+ *
+ * Every provider exposes complete(messages, options), which returns an
+ * OpenAI-style chat completion object, and stream(messages, options),
+ * an async iterator of text deltas. Callers don't need to know which
+ * backend answered. options.maxTokens overrides LLM_MAX_TOKENS.
+ */
+
+const DEFAULTS = {
+    provider: 'openrouter',
+    temperature: 0.7,
+    maxTokens: 500
+};
+
+// Words the mock provider answers with, picked deterministically from the input
+const MOCK_WORDS = [
+    {
+        word: 'Saudade',
+        pronunciation: 'sow-DAH-djee',
+        ipa: 'sawˈdadʒi',
+        lang: 'pt-BR',
+        origin: 'Portuguese',
+        definition: 'A deep, tender longing for something or someone absent, knowing it may never return.',
+        etymology: 'From Old Portuguese soidade, from Latin solitas, solitude.',
+        example: 'Years after the move, the smell of the sea still filled her with saudade.',
+        note: 'Longing for what is gone, held with tenderness rather than bitterness.'
+    },
+    {
+        word: 'Hiraeth',
+        pronunciation: 'HEER-eyeth',
+        ipa: 'ˈhɪraɨθ',
+        lang: 'cy',
+        origin: 'Welsh',
+        definition: 'A homesickness for a home you cannot return to, or that perhaps never was.',
+        etymology: 'From Welsh hir, long, and aeth, grief or sorrow.',
+        example: 'Driving past the valley he grew up in, he felt a wave of hiraeth.',
+        note: 'Homesickness tied to a place and a past that can\'t be reached.'
+    },
+    {
+        word: 'Komorebi',
+        native: '木漏れ日',
+        transliteration: 'komorebi',
+        pronunciation: 'koh-moh-REH-bee',
+        ipa: 'komoɾebi',
+        lang: 'ja',
+        origin: 'Japanese',
+        definition: 'Sunlight filtering through the leaves of trees, and the quiet calm it brings.',
+        etymology: 'From Japanese ki (tree), more (to leak through) and hi (sun).',
+        example: 'We ate lunch under the maples, in the komorebi.',
+        note: 'A small, sunlit calm rather than a heavy emotion.'
+    },
+    {
+        word: 'Mono no aware',
+        native: '物の哀れ',
+        transliteration: 'mono no aware',
+        pronunciation: 'MOH-noh noh ah-WAH-reh',
+        ipa: 'mono no aɰaɾe',
+        lang: 'ja',
+        origin: 'Japanese',
+        definition: 'A gentle sadness at the passing of things, and the beauty found in their impermanence.',
+        etymology: 'From Japanese mono (things) and aware (a sigh of feeling), a term of Heian-era poetics.',
+        example: 'Watching the last cherry blossoms fall, she felt mono no aware.',
+        note: 'Sadness softened by an appreciation of how fleeting things are.'
+    },
+    {
+        word: 'Toska',
+        native: 'тоска',
+        transliteration: 'toska',
+        pronunciation: 'TOHS-kah',
+        ipa: 'tɐˈska',
+        lang: 'ru',
+        origin: 'Russian',
+        definition: 'A spiritual anguish without any particular cause; a dull ache of the soul.',
+        etymology: 'From Old Russian tŭska, of uncertain origin.',
+        example: 'On grey November evenings a kind of toska settled over him.',
+        note: 'An ache with no clear object, heavier than simple sadness.'
+    }
+];
+
+/**
+ * Read a numeric setting, falling back when unset or invalid
+ */
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * POST a chat completion request to an OpenAI-compatible endpoint
+ */
+async function postChatCompletion(url, headers, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error('LLM provider error:', errorText);
+        throw new Error(`API request failed: ${response.status}`);
+    }
+
+    return response;
+}
+
+/**
+ * Yield text deltas from an OpenAI-style server-sent event stream
+ */
+async function* readCompletionStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const data = trimmed.slice(5).trim();
+            if (data === '[DONE]') return;
+
+            try {
+                const chunk = JSON.parse(data);
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+                if (delta && delta.content) {
+                    yield delta.content;
+                }
+            } catch (error) {
+                // Ignore keep-alive comments and partial lines
+            }
+        }
+    }
+}
+
+/**
+ * Shared implementation for providers that speak the OpenAI chat completions API
+ */
+function createChatCompletionProvider({ name, model, url, getHeaders }, settings) {
+    const buildBody = (messages, options, stream) => ({
+        model,
+        messages,
+        temperature: settings.temperature,
+        max_tokens: options.maxTokens || settings.maxTokens,
+        ...(stream ? { stream: true } : {})
+    });
+
+    return {
+        name,
+        model,
+        maxTokens: settings.maxTokens,
+
+        async complete(messages, options = {}) {
+            const response = await postChatCompletion(url, getHeaders(), buildBody(messages, options, false));
+            return response.json();
+        },
+
+        async* stream(messages, options = {}) {
+            const response = await postChatCompletion(url, getHeaders(), buildBody(messages, options, true));
+            yield* readCompletionStream(response);
+        }
+    };
+}
+
+/**
+ * OpenRouter (hosted, needs OPENROUTER_API_KEY)
+ */
+function createOpenRouterProvider(settings, env) {
+    return createChatCompletionProvider({
+        name: 'openrouter',
+        model: settings.model || 'mistralai/mixtral-8x7b-instruct',
+        url: 'https://openrouter.ai/api/v1/chat/completions',
+        getHeaders() {
+            if (!env.OPENROUTER_API_KEY) {
+                throw new Error('OPENROUTER_API_KEY is not set');
+            }
+            return {
+                'Authorization': `Bearer ${env.OPENROUTER_API_KEY}`,
+                'HTTP-Referer': 'https://awordforthis.netlify.app',
+                'X-Title': 'A Word for This'
+            };
+        }
+    }, settings);
+}
+
+/**
+ * Any OpenAI-compatible server (llama.cpp, Ollama, vLLM, OpenAI itself)
+ */
+function createOpenAIProvider(settings, env) {
+    const baseUrl = (env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+
+    return createChatCompletionProvider({
+        name: 'openai',
+        model: settings.model || 'llama3',
+        url: `${baseUrl}/chat/completions`,
+        getHeaders() {
+            return env.LLM_API_KEY
+                ? { 'Authorization': `Bearer ${env.LLM_API_KEY}` }
+                : {};
+        }
+    }, settings);
+}
+
+/**
+ * Simple string hash so the same input always gets the same answer
+ */
+function hashText(text) {
+    let hash = 0;
+    for (const char of text) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Build the mock's reply, answering in whichever format the system prompt asks for
+ *
+ * Words already given earlier in the conversation aren't given again.
+ */
+function buildMockReply(systemPrompt, hash, given = []) {
+    const fresh = MOCK_WORDS.filter(entry => !given.includes(entry.word));
+    const pool = fresh.length > 0 ? fresh : MOCK_WORDS;
+    const pick = (offset) => pool[(hash + offset) % pool.length];
+    const withoutNote = ({ note, ...entry }) => entry;
+
+    const candidatesMatch = systemPrompt.match(/exactly (\d+) candidate/);
+    if (!candidatesMatch) {
+        return withoutNote(pick(0));
+    }
+
+    const count = Math.min(Number(candidatesMatch[1]), pool.length);
+    return {
+        candidates: Array.from({ length: count }, (_, index) => ({
+            ...pick(index),
+            fit: 95 - index * 10
+        }))
+    };
+}
+
+/**
+ * Deterministic offline provider for CI and demos
+ */
+function createMockProvider(settings) {
+    // Size of each piece when the mock streams its reply
+    const STREAM_CHUNK_SIZE = 12;
+
+    // The earlier words of a refined search, quoted in the user's turn,
+    // without the native script shown after them
+    const givenWords = (messages) => messages
+        .filter(m => m.role === 'user')
+        .flatMap(m => [...m.content.matchAll(/<suggestion>\nWord: (.*)/g)])
+        .map(match => match[1].replace(/\s*\(.*\)\s*$/, ''));
+
+    const reply = (messages) => {
+        const systemMessage = messages.find(m => m.role === 'system');
+        const conversation = messages.filter(m => m.role !== 'system').map(m => m.content);
+        const hash = hashText(conversation.join('\n'));
+        const content = buildMockReply(systemMessage ? systemMessage.content : '', hash, givenWords(messages));
+        return {
+            hash,
+            content: JSON.stringify(content, null, 4)
+        };
+    };
+
+    return {
+        name: 'mock',
+        model: settings.model || 'mock-1',
+        maxTokens: settings.maxTokens,
+
+        async complete(messages) {
+            const { hash, content } = reply(messages);
+
+            return {
+                id: `mock-${hash.toString(16)}`,
+                object: 'chat.completion',
+                model: this.model,
+                choices: [
+                    {
+                        index: 0,
+                        message: {
+                            role: 'assistant',
+                            content
+                        },
+                        finish_reason: 'stop'
+                    }
+                ]
+            };
+        },
+
+        async* stream(messages) {
+            const { content } = reply(messages);
+            for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+                yield content.slice(i, i + STREAM_CHUNK_SIZE);
+            }
+        }
+    };
+}
+
+const PROVIDERS = {
+    openrouter: createOpenRouterProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Create the provider selected by the environment
+ */
+function createProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || DEFAULTS.provider).toLowerCase();
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+    }
+
+    const settings = {
+        model: env.LLM_MODEL,
+        temperature: readNumber(env.LLM_TEMPERATURE, DEFAULTS.temperature),
+        maxTokens: readNumber(env.LLM_MAX_TOKENS, DEFAULTS.maxTokens)
+    };
+
+    return factory(settings, env);
+}
+
+module.exports = { createProvider };
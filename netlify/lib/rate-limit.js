@@ -0,0 +1,105 @@
+/**
+ * Rate Limiting
+ * Per-IP token buckets that keep anyone from draining the model budget
+ *
+ * Each client gets a bucket of RATE_LIMIT_BURST tokens that refills at
+ * RATE_LIMIT_PER_MINUTE tokens a minute; every request takes one token.
+ * Buckets live in memory, so on Netlify each warm instance counts separately.
+ *
+ * Configured with environment variables:
+ *   RATE_LIMIT_BURST       requests allowed back to back (default 10)
+ *   RATE_LIMIT_PER_MINUTE  sustained requests per minute (default 6, 0 disables)
+ */
+
+const DEFAULTS = {
+    burst: 10,
+    perMinute: 6
+};
+
+// Full buckets carry no information, so they're dropped once this many exist
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Read a non-negative numeric setting, falling back when unset
+ */
+function readSetting(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Find the caller's IP in a Netlify event
+ */
+function getClientIp(event) {
+    const headers = event.headers || {};
+    const forwarded = headers['x-forwarded-for'];
+    return headers['x-nf-client-connection-ip']
+        || (forwarded && forwarded.split(',')[0].trim())
+        || 'unknown';
+}
+
+/**
+ * Create a token-bucket limiter from the environment
+ */
+function createRateLimiter(env = process.env) {
+    const capacity = readSetting(env.RATE_LIMIT_BURST, DEFAULTS.burst, 'RATE_LIMIT_BURST');
+    const perMinute = readSetting(env.RATE_LIMIT_PER_MINUTE, DEFAULTS.perMinute, 'RATE_LIMIT_PER_MINUTE');
+    const refillPerMs = perMinute / 60000;
+    const buckets = new Map();
+
+    const refill = (bucket, now) => {
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+    };
+
+    const prune = (now) => {
+        buckets.forEach((bucket, key) => {
+            refill(bucket, now);
+            if (bucket.tokens >= capacity) buckets.delete(key);
+        });
+    };
+
+    return {
+        enabled: perMinute > 0,
+
+        /**
+         * Take a token for this key; reports how long to wait when none are left
+         */
+        take(key) {
+            if (!this.enabled) {
+                return { allowed: true, retryAfterSeconds: 0 };
+            }
+
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                if (buckets.size >= PRUNE_THRESHOLD) prune(now);
+                bucket = { tokens: capacity, updatedAt: now };
+                buckets.set(key, bucket);
+            }
+
+            refill(bucket, now);
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return { allowed: true, retryAfterSeconds: 0 };
+            }
+
+            return {
+                allowed: false,
+                retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+            };
+        }
+    };
+}
+
+module.exports = {
+    getClientIp,
+    createRateLimiter
+};
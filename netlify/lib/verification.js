@@ -0,0 +1,84 @@
+/**
+ * Word Verification
+ * Checks the model's word against the bundled lexicon before anyone shares it
+ *
+ * The model is asked for obscure words, so it sometimes invents one or
+ * names the wrong language. Every word gets a verification:
+ *
+ *   verified     in the lexicon, from the language the model said
+ *   mismatch     in the lexicon, but from a different language
+ *   unverified   not in the lexicon, so it can't be confirmed either way
+ *
+ * The lexicon is small, so "unverified" is common and doesn't mean invented.
+ */
+
+const Lexicon = require('../../lexicon');
+
+const CONFIDENCE = {
+    verified: 'high',
+    mismatch: 'low',
+    unverified: 'unknown'
+};
+
+/**
+ * Fold case and accents so "Litost" matches "Lítost"
+ */
+function fold(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * The spellings worth looking up, e.g. "Toska (тоска)" gives "Toska" and "тоска"
+ */
+function spellingsOf(word) {
+    const spellings = [word];
+    const match = String(word).match(/^(.*?)\s*\((.+)\)\s*$/);
+    if (match) {
+        spellings.push(match[1], match[2]);
+    }
+    return spellings
+        .flatMap(spelling => spelling.split(/\s*[/,]\s*/))
+        .filter(Boolean);
+}
+
+/**
+ * Check that the origin the model gave names the lexicon's language
+ */
+function sameLanguage(origin, language) {
+    const a = fold(origin);
+    const b = fold(language);
+    return a.includes(b) || b.includes(a);
+}
+
+/**
+ * Verify one word entry against the lexicon
+ *
+ * Returns { status, confidence }, plus the lexicon's language when it disagrees.
+ */
+function verifyEntry(entry) {
+    const known = spellingsOf(entry.word)
+        .map(spelling => Lexicon.lookup(spelling))
+        .find(Boolean);
+
+    if (!known) {
+        return { status: 'unverified', confidence: CONFIDENCE.unverified };
+    }
+
+    if (!sameLanguage(entry.origin, known.language)) {
+        return {
+            status: 'mismatch',
+            confidence: CONFIDENCE.mismatch,
+            expectedOrigin: known.language
+        };
+    }
+
+    return { status: 'verified', confidence: CONFIDENCE.verified };
+}
+
+module.exports = {
+    verifyEntry
+};
@@ -0,0 +1,317 @@
+/**
+ * Word Entry Parsing
+ * Turns raw model output into a validated word entry
+ *
+ * Models don't always follow the "JSON only" instruction, so this
+ * strips surrounding prose and code fences, repairs common JSON
+ * mistakes, and falls back to pulling fields out one by one.
+ */
+
+// Bump when the shape of the find-word response changes
+const SCHEMA_VERSION = 3;
+
+// Field limits keep a rambling model from flooding the UI
+const FIELDS = {
+    word: { required: true, maxLength: 80 },
+    native: { required: false, maxLength: 80 },
+    transliteration: { required: false, maxLength: 80 },
+    pronunciation: { required: false, maxLength: 120 },
+    ipa: { required: false, maxLength: 120 },
+    lang: { required: false, maxLength: 35 },
+    origin: { required: false, maxLength: 80, fallback: 'Unknown origin' },
+    definition: { required: true, maxLength: 600 },
+    etymology: { required: false, maxLength: 300 },
+    example: { required: false, maxLength: 300 }
+};
+
+// A word entry names a word, it doesn't carry links, code or talk about prompts.
+// Output like this usually means the model followed instructions hidden in the input.
+const OFF_TASK_PATTERNS = [
+    /https?:\/\/|www\./i,
+    /```|<\/?script/i,
+    /\b(?:ignore|disregard)\b[^.!?\n]{0,40}\binstructions?\b/i,
+    /\b(?:system|developer)\s+prompt\b/i,
+    /\bas an ai\b|\blanguage model\b/i
+];
+
+// The word itself, not counting a parenthesized native script, stays short
+const MAX_WORDS_IN_WORD = 4;
+
+// Extra fields each candidate carries in n-candidates mode
+const CANDIDATE_NOTE_MAX_LENGTH = 200;
+
+/**
+ * Thrown when model output can't be turned into a word entry
+ */
+class MalformedOutputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MalformedOutputError';
+    }
+}
+
+/**
+ * Pull the assistant's text out of a chat completion
+ */
+function getCompletionText(completion) {
+    if (typeof completion === 'string') {
+        return completion;
+    }
+    const content = completion && completion.choices && completion.choices[0]
+        && completion.choices[0].message && completion.choices[0].message.content;
+    return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Fix the JSON mistakes models make most often
+ */
+function repairJson(str) {
+    return str
+        // Curly quotes used as JSON quotes
+        .replace(/[“”]/g, '"')
+        // Trailing commas before a closing brace or bracket
+        .replace(/,\s*([}\]])/g, '$1')
+        // Raw newlines inside string values
+        .replace(/"((?:[^"\\]|\\.)*)"/g, (match, inner) =>
+            `"${inner.replace(/\r?\n/g, '\\n')}"`
+        );
+}
+
+/**
+ * Extract individual fields when the object won't parse at all
+ */
+function extractFields(text) {
+    const field = (name) => {
+        const match = text.match(new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"?`));
+        return match ? match[1].replace(/\\"/g, '"') : undefined;
+    };
+
+    return Object.fromEntries(Object.keys(FIELDS).map(name => [name, field(name)]));
+}
+
+/**
+ * Find the JSON object in model text and parse it, repairing if needed
+ */
+function extractObject(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const match = unfenced.match(/\{[\s\S]*\}/);
+
+    if (match) {
+        try {
+            return JSON.parse(match[0]);
+        } catch (error) {
+            try {
+                return JSON.parse(repairJson(match[0]));
+            } catch (repairError) {
+                // Fall through to field extraction
+            }
+        }
+    }
+
+    return extractFields(unfenced);
+}
+
+/**
+ * Models sometimes wrap pronunciation in slashes; the UI adds its own
+ */
+function normalizePronunciation(value) {
+    return value.replace(/^\/+|\/+$/g, '').trim();
+}
+
+/**
+ * IPA comes between slashes or brackets, or bare; keep it bare like pronunciation
+ */
+function normalizeIpa(value) {
+    return value.replace(/^[/[]+|[/\]]+$/g, '').trim();
+}
+
+/**
+ * Canonicalize a BCP-47 language tag, or return '' if it isn't one
+ *
+ * Models sometimes give a language name ("Japanese") instead, which
+ * can look like a tag, so the language subtag must be 2 or 3 letters.
+ */
+function normalizeLanguageTag(value) {
+    if (!/^[a-z]{2,3}(?:-|$)/i.test(value)) {
+        return '';
+    }
+    try {
+        return Intl.getCanonicalLocales(value)[0];
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Add the native script to the word in parentheses, e.g. "Komorebi (木漏れ日)"
+ *
+ * Words have always carried their script this way, and the archive, the
+ * lexicon check and shared cards all expect it.
+ */
+function withNativeScript(word, native) {
+    if (!native || word.includes(native)) {
+        return word;
+    }
+    const combined = `${word} (${native})`;
+    return combined.length <= FIELDS.word.maxLength ? combined : word;
+}
+
+/**
+ * Reject well-formed output that isn't actually a word entry
+ */
+function assertWordEntry(entry) {
+    const bareWord = entry.word.replace(/\([^)]*\)/g, '').trim();
+    if (!/\p{L}/u.test(bareWord) || bareWord.split(/\s+/).length > MAX_WORDS_IN_WORD) {
+        throw new MalformedOutputError('Model output "word" is not a word');
+    }
+
+    Object.keys(FIELDS).forEach(name => {
+        if (OFF_TASK_PATTERNS.some(pattern => pattern.test(entry[name]))) {
+            throw new MalformedOutputError(`Model output "${name}" is off task`);
+        }
+    });
+}
+
+/**
+ * Validate and normalize a parsed object against the word entry schema
+ */
+function validateEntry(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new MalformedOutputError('Model output is not an object');
+    }
+
+    const entry = {};
+    Object.entries(FIELDS).forEach(([name, rules]) => {
+        let value = typeof parsed[name] === 'string' ? parsed[name].trim() : '';
+
+        if (!value) {
+            if (rules.required) {
+                throw new MalformedOutputError(`Model output is missing "${name}"`);
+            }
+            value = rules.fallback || '';
+        }
+
+        if (value.length > rules.maxLength) {
+            throw new MalformedOutputError(`Model output "${name}" is too long`);
+        }
+
+        entry[name] = value;
+    });
+
+    entry.pronunciation = normalizePronunciation(entry.pronunciation);
+    entry.ipa = normalizeIpa(entry.ipa);
+    entry.lang = normalizeLanguageTag(entry.lang);
+    entry.word = withNativeScript(entry.word, entry.native);
+
+    assertWordEntry(entry);
+
+    return entry;
+}
+
+/**
+ * Parse a chat completion into a validated word entry
+ */
+function parseWordEntry(completion) {
+    const text = getCompletionText(completion);
+    if (!text.trim()) {
+        throw new MalformedOutputError('Model returned no text');
+    }
+    return validateEntry(extractObject(text));
+}
+
+/**
+ * Parse a chat completion into candidates ranked by fit, best first
+ */
+function parseCandidates(completion) {
+    const text = getCompletionText(completion);
+    if (!text.trim()) {
+        throw new MalformedOutputError('Model returned no text');
+    }
+
+    const parsed = extractObject(text);
+    const list = Array.isArray(parsed && parsed.candidates) ? parsed.candidates : [];
+
+    // Keep every candidate that validates; one bad entry shouldn't sink the rest
+    const seen = new Set();
+    const candidates = [];
+    list.forEach(item => {
+        let entry;
+        try {
+            entry = validateEntry(item);
+        } catch (error) {
+            return;
+        }
+
+        const key = entry.word.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const fit = Number(item.fit);
+        entry.fit = Number.isFinite(fit) ? Math.max(0, Math.min(100, Math.round(fit))) : 0;
+        entry.note = typeof item.note === 'string'
+            ? item.note.trim().slice(0, CANDIDATE_NOTE_MAX_LENGTH)
+            : '';
+
+        candidates.push(entry);
+    });
+
+    if (candidates.length === 0) {
+        throw new MalformedOutputError('Model output has no valid candidates');
+    }
+
+    return candidates.sort((a, b) => b.fit - a.fit);
+}
+
+/**
+ * Watch streamed model text and report each field once its value is complete
+ */
+function createFieldExtractor() {
+    let text = '';
+    const emitted = new Set();
+
+    return {
+        push(delta) {
+            text += delta;
+            const fields = [];
+
+            Object.keys(FIELDS).forEach(name => {
+                if (emitted.has(name)) return;
+
+                // A closing quote means the value has fully arrived
+                const match = text.match(new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+                if (!match) return;
+
+                let value;
+                try {
+                    value = JSON.parse(`"${match[1]}"`);
+                } catch (error) {
+                    value = match[1];
+                }
+
+                value = value.trim();
+                if (name === 'pronunciation') {
+                    value = normalizePronunciation(value);
+                } else if (name === 'ipa') {
+                    value = normalizeIpa(value);
+                } else if (name === 'lang') {
+                    value = normalizeLanguageTag(value);
+                }
+
+                emitted.add(name);
+                fields.push({ name, value });
+            });
+
+            return fields;
+        }
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MalformedOutputError,
+    getCompletionText,
+    validateEntry,
+    parseWordEntry,
+    parseCandidates,
+    createFieldExtractor
+};
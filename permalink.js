@@ -0,0 +1,115 @@
+/**
+ * A Word for This - Permalink Cards
+ *
+ * Writes a word card into a shared link and reads it back: base64url JSON
+ * with short keys, { w: word, p: pronunciation, i: ipa, l: lang,
+ * t: transliteration, o: origin, d: definition, e: etymology, x: example }.
+ * Links can be edited by anyone, so every field is checked before use.
+ *
+ * Loaded by the browser (as window.CardLink) to write links and open them,
+ * and by the serverless functions (via require) for link previews, so both
+ * read links by the same rules.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CardLink = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Longest field a link may carry, so a crafted link can't flood the card
+    const LIMITS = {
+        w: 80,
+        p: 120,
+        i: 120,
+        l: 35,
+        t: 80,
+        o: 80,
+        d: 600,
+        e: 300,
+        x: 300
+    };
+
+    // Fields a card can do without, and the result field each carries
+    const OPTIONAL_FIELDS = {
+        p: 'pronunciation',
+        i: 'ipa',
+        l: 'lang',
+        t: 'transliteration',
+        e: 'etymology',
+        x: 'example'
+    };
+
+    // A base64url payload for the longest allowed card, with room for JSON escapes
+    const MAX_PAYLOAD_LENGTH = 8192;
+
+    /**
+     * Encode a result as a URL-safe string
+     *
+     * Only the word card travels: never the feeling that found it, and never
+     * the verification, which anyone editing the link could fake.
+     */
+    function encode(result) {
+        const card = { w: result.word, o: result.origin, d: result.definition };
+        Object.entries(OPTIONAL_FIELDS).forEach(([key, field]) => {
+            if (result[field]) {
+                card[key] = result[field];
+            }
+        });
+
+        const bytes = new TextEncoder().encode(JSON.stringify(card));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a string from encode() back into a result, or return null
+     *
+     * Optional fields the link doesn't carry come back as ''.
+     */
+    function decode(payload) {
+        if (typeof payload !== 'string' || payload.length > MAX_PAYLOAD_LENGTH || !/^[\w-]+$/.test(payload)) {
+            return null;
+        }
+
+        let card;
+        try {
+            const binary = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            card = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        } catch (error) {
+            return null;
+        }
+
+        const valid = card && typeof card === 'object' &&
+            Object.entries(LIMITS).every(([field, limit]) => {
+                const value = card[field];
+                if (value === undefined && field in OPTIONAL_FIELDS) return true;
+                return typeof value === 'string' && value.trim() !== '' && value.length <= limit;
+            });
+        if (!valid) {
+            return null;
+        }
+
+        const result = {
+            word: card.w.trim(),
+            origin: card.o.trim(),
+            definition: card.d.trim()
+        };
+        Object.entries(OPTIONAL_FIELDS).forEach(([key, field]) => {
+            result[field] = card[key] ? card[key].trim() : '';
+        });
+        return result;
+    }
+
+    return {
+        LIMITS,
+        OPTIONAL_FIELDS,
+        MAX_PAYLOAD_LENGTH,
+        encode,
+        decode
+    };
+}));
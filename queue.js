@@ -0,0 +1,152 @@
+/**
+ * A Word for This - Lookup Queue
+ *
+ * Feelings submitted while offline, kept in IndexedDB until they can be
+ * looked up.
+ *
+ * Loaded by the page (as window.LookupQueue), which adds lookups and
+ * collects the answers into the archive, and by the service worker (via
+ * importScripts), which looks them up in a background sync once the
+ * connection is back.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LookupQueue = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DB_NAME = 'wordForThis_queue';
+    const DB_VERSION = 1;
+    const STORE = 'lookups';
+
+    // Background sync tag the page registers and the service worker answers
+    const SYNC_TAG = 'find-word-queue';
+
+    const ENDPOINT = '/.netlify/functions/find-word';
+
+    let dbPromise = null;
+
+    /**
+     * Open (creating if needed) the queue's database
+     */
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run work against the store, resolving with what it reports once the transaction commits
+     */
+    async function transaction(mode, work) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            let result;
+            work(tx.objectStore(STORE), (value) => {
+                result = value;
+            });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Queue transaction was aborted'));
+        });
+    }
+
+    /**
+     * Queue a feeling to look up later; resolves with the queued item
+     */
+    function add(query) {
+        const item = { query, timestamp: new Date().toISOString(), status: 'pending' };
+        return transaction('readwrite', (store, done) => {
+            store.add(item).onsuccess = (event) => done({ ...item, id: event.target.result });
+        });
+    }
+
+    /**
+     * Get every queued item, oldest first
+     *
+     * status is 'pending' until the lookup runs, then 'done' (with a result)
+     * or 'failed' (with an error).
+     */
+    function all() {
+        return transaction('readonly', (store, done) => {
+            store.getAll().onsuccess = (event) => done(event.target.result);
+        });
+    }
+
+    /**
+     * Save changes to a queued item
+     */
+    function put(item) {
+        return transaction('readwrite', (store) => {
+            store.put(item);
+        });
+    }
+
+    /**
+     * Remove queued items by id
+     */
+    function remove(ids) {
+        return transaction('readwrite', (store) => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Look up every pending item, in the order they were queued
+     *
+     * Answers and refusals are saved on the item. Rejects, leaving the rest
+     * pending, if the network is still down or the server asks to wait, so
+     * a background sync knows to try again. Resolves with how many items
+     * were settled.
+     */
+    async function flush(fetchImpl = fetch) {
+        const pending = (await all()).filter(item => item.status === 'pending');
+
+        for (const item of pending) {
+            const response = await fetchImpl(ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ emotionText: item.query })
+            });
+
+            if (response.status === 429) {
+                throw new Error('Rate limited; the rest of the queue will be retried');
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (response.ok && data.result) {
+                await put({ ...item, status: 'done', result: data.result });
+            } else {
+                await put({ ...item, status: 'failed', error: data.error || `Request failed: ${response.status}` });
+            }
+        }
+
+        return pending.length;
+    }
+
+    return {
+        SYNC_TAG,
+        add,
+        all,
+        remove,
+        flush
+    };
+}));
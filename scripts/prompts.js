@@ -0,0 +1,19 @@
+// Print the prompt templates find-word uses
+//
+//   node scripts/prompts.js                       list templates and versions
+//   node scripts/prompts.js <name> "<feeling>"    show the messages sent for a feeling
+const { listPrompts, renderPrompt } = require('../netlify/lib/prompts');
+
+const [name, feeling = 'The feeling when...', count] = process.argv.slice(2);
+
+if (!name) {
+    listPrompts().forEach(prompt => {
+        console.log(`${prompt.id}`);
+    });
+} else {
+    const prompt = renderPrompt(name, feeling, { count: Number(count) || 3 });
+    console.log(`# ${prompt.id}\n`);
+    prompt.messages.forEach(message => {
+        console.log(`--- ${message.role} ---\n${message.content}\n`);
+    });
+}
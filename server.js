@@ -5,12 +5,45 @@ const path = require('path');
 
 const PORT = 8000;
 
+// Static files are served from the project folder and nothing above it
+const ROOT_DIR = __dirname;
+
+// The files the app is made of (the same set sw.js caches, plus sw.js itself).
+// Everything else in the folder - .env, .git, .cache, node_modules, the
+// functions' source - stays private, since the server listens on every interface.
+const PUBLIC_FILES = [
+    '/index.html',
+    '/style.css',
+    '/app.js',
+    '/lexicon.js',
+    '/clipping.js',
+    '/permalink.js',
+    '/queue.js',
+    '/sw.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+// Serverless functions, mounted the same way Netlify does
+const FUNCTIONS_DIR = path.join(__dirname, 'netlify', 'functions');
+const FUNCTIONS_PREFIX = '/.netlify/functions/';
+
+// Mirrors the [[redirects]] rule in netlify.toml: /api/* -> /.netlify/functions/:splat
+const API_PREFIX = '/api/';
+
+// Netlify rejects request bodies over 6 MB; the local server does the same
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// Locally, keep the find-word cache on disk so it survives restarts
+process.env.CACHE_STORE = process.env.CACHE_STORE || 'file';
+
 // MIME types for different file extensions
 const mimeTypes = {
     '.html': 'text/html',
     '.css': 'text/css',
     '.js': 'application/javascript',
     '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
@@ -18,19 +51,170 @@ const mimeTypes = {
     '.ico': 'image/x-icon'
 };
 
-const server = http.createServer((req, res) => {
-    // Get the file path
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-        filePath = './index.html';
+// Checked on every load, so an installed app picks up new versions
+// (mirrors the [[headers]] rules in netlify.toml)
+const NO_CACHE_PATHS = ['/sw.js', '/manifest.webmanifest'];
+
+/**
+ * Resolve a request path to a function name, or null if it isn't a function route
+ */
+function getFunctionName(pathname) {
+    let name = null;
+    if (pathname.startsWith(FUNCTIONS_PREFIX)) {
+        name = pathname.slice(FUNCTIONS_PREFIX.length);
+    } else if (pathname.startsWith(API_PREFIX)) {
+        name = pathname.slice(API_PREFIX.length);
+    }
+
+    // Only plain function names, never nested paths
+    if (!name || !/^[\w-]+$/.test(name)) {
+        return null;
+    }
+    return name;
+}
+
+/**
+ * Load a function module from netlify/functions
+ */
+function loadFunction(name) {
+    const modulePath = path.join(FUNCTIONS_DIR, `${name}.js`);
+    if (!fs.existsSync(modulePath)) {
+        return null;
+    }
+    const fn = require(modulePath);
+    return typeof fn.handler === 'function' ? fn : null;
+}
+
+/**
+ * Translate a Node request into the Netlify (Lambda) event shape
+ */
+function buildEvent(req, url, body) {
+    const queryStringParameters = {};
+    const multiValueQueryStringParameters = {};
+    url.searchParams.forEach((value, key) => {
+        queryStringParameters[key] = value;
+        (multiValueQueryStringParameters[key] = multiValueQueryStringParameters[key] || []).push(value);
+    });
+
+    return {
+        path: url.pathname,
+        httpMethod: req.method,
+        headers: {
+            ...req.headers,
+            // Netlify passes the caller's address in this header
+            'x-nf-client-connection-ip': req.socket.remoteAddress
+        },
+        queryStringParameters,
+        multiValueQueryStringParameters,
+        rawUrl: url.href,
+        rawQuery: url.search.slice(1),
+        body: body.length ? body.toString('utf-8') : null,
+        isBase64Encoded: false
+    };
+}
+
+/**
+ * Write a Netlify handler response back to the Node response
+ */
+function sendFunctionResponse(res, response) {
+    const headers = { ...(response.headers || {}) };
+    Object.entries(response.multiValueHeaders || {}).forEach(([key, values]) => {
+        headers[key] = values;
+    });
+
+    res.writeHead(response.statusCode || 200, headers);
+
+    // Streamed bodies (e.g. server-sent events) are piped as they're produced
+    if (response.body && typeof response.body.pipe === 'function') {
+        response.body.on('error', (error) => {
+            console.error('Function stream error:', error);
+            res.end();
+        });
+        response.body.pipe(res);
+        return;
+    }
+
+    const body = response.isBase64Encoded
+        ? Buffer.from(response.body || '', 'base64')
+        : (response.body || '');
+
+    res.end(body);
+}
+
+/**
+ * Run a serverless function for this request
+ */
+function serveFunction(req, res, url, fn) {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            tooLarge = true;
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', async () => {
+        if (tooLarge) {
+            res.writeHead(413, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Request is too large' }));
+            return;
+        }
+
+        try {
+            const event = buildEvent(req, url, Buffer.concat(chunks));
+            const response = await fn.handler(event, {});
+            sendFunctionResponse(res, response || {});
+        } catch (error) {
+            console.error('Function error:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Function invocation failed' }));
+        }
+    });
+}
+
+/**
+ * Serve one of the app's public files from the project directory
+ */
+function serveStatic(res, pathname) {
+    // Check the path decoded after the URL was normalized, so an encoded
+    // "..%2f" or "%2e" is only judged once it's resolved
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end('<h1>400 - Bad Request</h1>', 'utf-8');
+        return;
+    }
+
+    // Never dotfiles or dot folders, and nothing outside the project folder
+    const filePath = path.resolve(ROOT_DIR, '.' + decoded);
+    const insideRoot = filePath === ROOT_DIR || filePath.startsWith(ROOT_DIR + path.sep);
+    if (!insideRoot || decoded.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+        res.writeHead(403, { 'Content-Type': 'text/html' });
+        res.end('<h1>403 - Forbidden</h1>', 'utf-8');
+        return;
+    }
+
+    const publicPath = filePath === ROOT_DIR
+        ? '/index.html'
+        : '/' + path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+    if (!PUBLIC_FILES.includes(publicPath)) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<h1>404 - File Not Found</h1>', 'utf-8');
+        return;
     }
 
     // Get the file extension
-    const extname = String(path.extname(filePath)).toLowerCase();
+    const extname = String(path.extname(publicPath)).toLowerCase();
     const contentType = mimeTypes[extname] || 'application/octet-stream';
 
     // Read and serve the file
-    fs.readFile(filePath, (error, content) => {
+    fs.readFile(path.join(ROOT_DIR, publicPath), (error, content) => {
         if (error) {
             if (error.code === 'ENOENT') {
                 res.writeHead(404, { 'Content-Type': 'text/html' });
@@ -40,10 +224,43 @@ const server = http.createServer((req, res) => {
                 res.end('Server Error: ' + error.code, 'utf-8');
             }
         } else {
-            res.writeHead(200, { 'Content-Type': contentType });
+            const headers = { 'Content-Type': contentType };
+            if (NO_CACHE_PATHS.includes(pathname)) {
+                headers['Cache-Control'] = 'no-cache';
+            }
+            res.writeHead(200, headers);
             res.end(content, 'utf-8');
         }
     });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    // Route function calls to netlify/functions
+    const functionName = getFunctionName(url.pathname);
+    if (functionName) {
+        // A module that fails to load (e.g. a dependency that isn't
+        // installed) fails this request, not the whole server
+        let fn;
+        try {
+            fn = loadFunction(functionName);
+        } catch (error) {
+            console.error(`Failed to load function ${functionName}:`, error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Function failed to load' }));
+            return;
+        }
+        if (!fn) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Function not found: ${functionName}` }));
+            return;
+        }
+        serveFunction(req, res, url, fn);
+        return;
+    }
+
+    serveStatic(res, url.pathname);
 });
 
 server.listen(PORT, () => {
@@ -0,0 +1,87 @@
+/**
+ * A Word for This - Service Worker
+ *
+ * Keeps a copy of the app so it opens (and the archive, which lives in
+ * IndexedDB, can be browsed) without a connection, and looks up feelings
+ * queued while offline once the connection is back.
+ */
+importScripts('/queue.js');
+
+// Bump to drop the old copy when the cached files' list changes
+const CACHE_NAME = 'a-word-for-this-v2';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/app.js',
+    '/lexicon.js',
+    '/clipping.js',
+    '/permalink.js',
+    '/queue.js',
+    '/manifest.webmanifest',
+    '/icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Answer from the network, refreshing the cached copy, or from the cache when offline
+ */
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only the app's own files; functions and fonts always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/.netlify/') || url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(networkFirst(request, request.mode === 'navigate' ? '/index.html' : null));
+});
+
+/**
+ * Tell open pages that queued lookups have answers to collect
+ */
+async function notifyClients(settled) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type: 'lookups-settled', settled }));
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== LookupQueue.SYNC_TAG) return;
+
+    // A rejection here has the browser retry the sync later
+    event.waitUntil(LookupQueue.flush().then(settled => {
+        if (settled > 0) return notifyClients(settled);
+    }));
+});